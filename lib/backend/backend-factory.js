@@ -2,10 +2,11 @@
 
 const { PyatvBackend } = require('./pyatv');
 const { NodeBackend } = require('./node-appletv');
+const { MockBackend } = require('./mock');
 
 class BackendFactory {
     /**
-     * @param {string} backendType - 'pyatv' or 'node-appletv-x'
+     * @param {string} backendType - 'pyatv', 'node-appletv-x' or 'mock' (simulator)
      * @param {object} log - ioBroker logger
      */
     constructor(backendType, log) {
@@ -24,6 +25,8 @@ class BackendFactory {
                 return new PyatvBackend(deviceConfig, this.log);
             case 'node-appletv-x':
                 return new NodeBackend(deviceConfig, this.log);
+            case 'mock':
+                return new MockBackend(deviceConfig, this.log);
             default:
                 throw new Error('Unknown backend type: ' + this.backendType);
         }
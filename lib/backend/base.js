@@ -31,9 +31,45 @@ class BaseBackend {
         throw new Error('Not implemented');
     }
 
+    /**
+     * Start interactive pairing. The device shows a PIN that is passed to pairFinish().
+     * @param {string} protocol - 'airplay', 'companion' or 'mrp'
+     * @returns {Promise<{status: 'awaitingPin'}|{status: 'paired', credentials: string}>}
+     */
+    async pairStart(protocol) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Complete a pairing started with pairStart().
+     * @param {string} pin - PIN shown on the device
+     * @returns {Promise<{status: 'paired', credentials: string}>}
+     */
+    async pairFinish(pin) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Cancel a running pairing process.
+     */
+    pairAbort() {
+        // nothing to clean up by default
+    }
+
+    /**
+     * Query which features the device supports, keyed by pyatv FeatureName
+     * (e.g. 'SetVolume', 'AppList'). Features missing from the result count as unsupported.
+     * @returns {Promise<Object<string, 'available'|'unavailable'|'unsupported'|'unknown'>>}
+     */
+    async getCapabilities() {
+        throw new Error('Not implemented');
+    }
+
     /**
      * Get current now-playing information.
-     * @returns {Promise<{title, artist, album, genre, mediaType, deviceState, app, appId, position, duration, shuffle, repeat}>}
+     * @returns {Promise<{title, artist, album, genre, mediaType, deviceState, app, appId, position, duration, shuffle, repeat,
+     *   artworkId, seriesName, seasonNumber, episodeNumber, contentId, itunesStoreId, rate}>}
+     *   rate is null if the backend cannot report the playback rate
      */
     async getPlaying() {
         throw new Error('Not implemented');
@@ -48,6 +84,82 @@ class BaseBackend {
         throw new Error('Not implemented');
     }
 
+    /**
+     * Whether sendCommand() can send this remote command. Button states of
+     * unsupported commands are not created.
+     * @param {string} command - e.g. 'up', 'upHold', 'menuDoubleTap'
+     * @returns {boolean}
+     */
+    supportsCommand(command) {
+        return true;
+    }
+
+    /**
+     * Replace the text of the focused on-screen keyboard.
+     * @param {string} text
+     * @returns {Promise<void>}
+     */
+    async setText(text) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Append text to the focused on-screen keyboard.
+     * @param {string} text
+     * @returns {Promise<void>}
+     */
+    async appendText(text) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Clear the text of the focused on-screen keyboard.
+     * @returns {Promise<void>}
+     */
+    async clearText() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Perform a swipe gesture on the touchpad. Coordinates range from 0 to 1000.
+     * @param {number} startX
+     * @param {number} startY
+     * @param {number} endX
+     * @param {number} endY
+     * @param {number} durationMs
+     * @returns {Promise<void>}
+     */
+    async swipe(startX, startY, endX, endY, durationMs) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Tap the touchpad, at a coordinate (0..1000) if given.
+     * @param {number} [x]
+     * @param {number} [y]
+     * @returns {Promise<void>}
+     */
+    async touchTap(x, y) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Get the user accounts (Apple IDs) set up on the device.
+     * @returns {Promise<Array<{name: string, id: string}>>}
+     */
+    async getAccountList() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Switch the active user account.
+     * @param {string} accountId
+     * @returns {Promise<void>}
+     */
+    async switchAccount(accountId) {
+        throw new Error('Not implemented');
+    }
+
     /**
      * Get power state.
      * @returns {Promise<boolean>} true = on, false = off
@@ -72,6 +184,78 @@ class BaseBackend {
         throw new Error('Not implemented');
     }
 
+    /**
+     * Set the shuffle mode.
+     * @param {string} mode - 'off', 'songs' or 'albums'
+     * @returns {Promise<void>}
+     */
+    async setShuffle(mode) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Set the repeat mode.
+     * @param {string} mode - 'off', 'track' or 'all'
+     * @returns {Promise<void>}
+     */
+    async setRepeat(mode) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Set the absolute volume.
+     * @param {number} level - 0..100
+     * @returns {Promise<void>}
+     */
+    async setVolume(level) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Get the current audio output devices (the Apple TV itself, HomePods, AirPlay speakers).
+     * @returns {Promise<Array<{name: string, identifier: string, volume: number|null}>>}
+     */
+    async getOutputDevices() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Add output devices to the current set.
+     * @param {string[]} identifiers
+     * @returns {Promise<Array<{name: string, identifier: string, volume: number|null}>>} New output devices
+     */
+    async addOutputDevices(identifiers) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Remove output devices from the current set.
+     * @param {string[]} identifiers
+     * @returns {Promise<Array<{name: string, identifier: string, volume: number|null}>>} New output devices
+     */
+    async removeOutputDevices(identifiers) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Replace the output devices.
+     * @param {string[]} identifiers
+     * @returns {Promise<Array<{name: string, identifier: string, volume: number|null}>>} New output devices
+     */
+    async setOutputDevices(identifiers) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Set the volume of a single output device.
+     * @param {string} identifier
+     * @param {number} level - 0..100
+     * @returns {Promise<Array<{name: string, identifier: string, volume: number|null}>>} New output devices
+     */
+    async setOutputVolume(identifier, level) {
+        throw new Error('Not implemented');
+    }
+
     /**
      * Seek to a position in the current media.
      * @param {number} positionSeconds
@@ -81,6 +265,27 @@ class BaseBackend {
         throw new Error('Not implemented');
     }
 
+    /**
+     * Stream a media URL (HTTP video or audio) to the device via AirPlay.
+     * Resolves once playback has been started; progress arrives via push updates.
+     * @param {string} url
+     * @returns {Promise<void>}
+     */
+    async playUrl(url) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Stream an audio file to the device via RAOP.
+     * Resolves once streaming has been started; the end arrives via push updates
+     * whose path is the one returned here.
+     * @param {string|Buffer} pathOrBuffer - Local file path or file content
+     * @returns {Promise<string>} path of the streamed file (a temp file for buffers)
+     */
+    async streamFile(pathOrBuffer) {
+        throw new Error('Not implemented');
+    }
+
     /**
      * Get the list of installed/available apps.
      * @returns {Promise<Array<{name: string, id: string}>>}
@@ -110,7 +315,7 @@ class BaseBackend {
 
     /**
      * Start push updates (long-running subprocess or event listener).
-     * @param {function} onUpdate - Called with { type: 'playing'|'power'|'volume'|'connection', data: {...} }
+     * @param {function} onUpdate - Called with { type: 'playing'|'power'|'volume'|'outputs'|'keyboard'|'playUrl'|'streamFile'|'connection', data: {...} }
      * @returns {{ stop: function }} Object with stop() method to terminate
      */
     startPushUpdates(onUpdate) {
@@ -124,6 +329,15 @@ class BaseBackend {
     async isReachable() {
         throw new Error('Not implemented');
     }
+
+    /**
+     * Release long-lived resources (connections, helper processes).
+     * Backends without such resources can keep this default.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        // nothing to release
+    }
 }
 
 module.exports = { BaseBackend };
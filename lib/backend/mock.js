@@ -0,0 +1,586 @@
+'use strict';
+
+const { BaseBackend } = require('./base');
+const { STATE_DEFINITIONS } = require('../state-definitions');
+
+/**
+ * Simulated devices returned by scan().
+ */
+const MOCK_DEVICES = [
+    {
+        name: 'Mock Living Room',
+        address: '192.0.2.10',
+        identifier: 'MOCK-LIVINGROOM',
+        allIdentifiers: ['MOCK-LIVINGROOM'],
+        mac: '02:00:00:00:00:10',
+        model: 'AppleTV11,1',
+        modelStr: 'Apple TV 4K (gen 2)',
+        os: 'TvOS',
+        osVersion: '17.0',
+        services: [{ protocol: 'airplay', port: 7000 }, { protocol: 'companion', port: 49153 }],
+    },
+    {
+        name: 'Mock Bedroom',
+        address: '192.0.2.11',
+        identifier: 'MOCK-BEDROOM',
+        allIdentifiers: ['MOCK-BEDROOM'],
+        mac: '02:00:00:00:00:11',
+        model: 'AppleTV5,3',
+        modelStr: 'Apple TV HD',
+        os: 'TvOS',
+        osVersion: '16.6',
+        services: [{ protocol: 'airplay', port: 7000 }, { protocol: 'companion', port: 49153 }],
+    },
+];
+
+const DEFAULT_APPS = [
+    { name: 'TV', id: 'com.apple.TVWatchList' },
+    { name: 'Music', id: 'com.apple.TVMusic' },
+    { name: 'Netflix', id: 'com.netflix.Netflix' },
+    { name: 'YouTube', id: 'com.google.ios.youtube' },
+];
+
+const DEFAULT_TIMELINE = [
+    {
+        title: 'Pilot', seriesName: 'Mock Series', seasonNumber: 1, episodeNumber: 1,
+        mediaType: 'video', duration: 1500, appId: 'com.apple.TVWatchList',
+    },
+    {
+        title: 'Mock Song', artist: 'Mock Artist', album: 'Mock Album', genre: 'Pop',
+        mediaType: 'music', duration: 210, appId: 'com.apple.TVMusic',
+    },
+];
+
+const DEFAULT_OUTPUTS = [
+    { name: 'Mock Living Room', identifier: 'MOCK-LIVINGROOM', volume: 50 },
+    { name: 'Mock HomePod', identifier: 'MOCK-HOMEPOD', volume: 40 },
+];
+
+// 1x1 transparent PNG
+const ARTWORK_PNG = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+    'base64'
+);
+
+/**
+ * Simulator backend for development and automated tests. No network access.
+ *
+ * Behaviour is configured through deviceConfig.mock (all optional):
+ *   power, volume, deviceState ('playing'|'paused'|'idle'), apps, timeline, outputs,
+ *   accounts, features (overrides of getCapabilities()), pin (pairing PIN), latency (ms),
+ *   streamDuration (ms until playUrl/streamFile report "finished"),
+ *   failures: { unreachable, auth, methods: ['launchApp', ...], disconnectAfter (ms) }
+ *
+ * The timeline is a list of now-playing items ({title, duration, appId, ...}) that are
+ * played one after another in real time; push updates follow item changes.
+ * Failures can also be switched at runtime with setFailure() / simulateDisconnect().
+ */
+class MockBackend extends BaseBackend {
+    constructor(deviceConfig, log) {
+        super(deviceConfig, log);
+        const options = deviceConfig.mock || {};
+
+        this.name = options.name || deviceConfig.identifier || 'mock';
+        this.apps = options.apps || DEFAULT_APPS;
+        this.timeline = options.timeline || DEFAULT_TIMELINE;
+        this.availableOutputs = options.outputs || DEFAULT_OUTPUTS;
+        this.accounts = options.accounts || [{ name: 'Mock User', id: 'mock-user-1' }];
+        this.features = options.features || {};
+        this.pin = options.pin || '1234';
+        this.latency = options.latency || 0;
+        this.streamDuration = options.streamDuration || 0;
+        this.failures = Object.assign({ unreachable: false, auth: false, methods: [], disconnectAfter: 0 }, options.failures);
+
+        // Simulated device state
+        this.power = options.power !== undefined ? !!options.power : true;
+        this.volume = options.volume !== undefined ? options.volume : 50;
+        this.outputs = this.availableOutputs.slice(0, 1);
+        this.shuffle = 'off';
+        this.repeat = 'off';
+        this.text = '';
+        this.currentAccount = this.accounts.length ? this.accounts[0].id : '';
+        this.currentApp = '';
+        this._index = this.timeline.length ? 0 : -1;
+        this._deviceState = this._index >= 0 ? (options.deviceState || 'playing') : 'idle';
+        this._position = 0;
+        this._positionAt = Date.now();
+
+        /** Commands received via sendCommand(), oldest first */
+        this.commandLog = [];
+
+        this._onUpdate = null;
+        this._itemTimer = null;
+        this._disconnectTimer = null;
+        this._pairing = null;
+    }
+
+    // --- Simulation controls ---
+
+    /**
+     * Change a failure mode at runtime ('unreachable', 'auth', 'methods', 'disconnectAfter').
+     */
+    setFailure(name, value) {
+        this.failures[name] = value;
+    }
+
+    /**
+     * Drop the push connection like a lost network connection or a device restart.
+     * @param {string} [reason]
+     */
+    simulateDisconnect(reason) {
+        this._emit('connection', { connected: false, reason: reason || 'connection_lost' });
+    }
+
+    /**
+     * Send an arbitrary push event to the registered listener.
+     */
+    simulatePush(type, data) {
+        this._emit(type, data);
+    }
+
+    // --- BaseBackend ---
+
+    async scan(_scanHosts) {
+        await this._delay();
+        return MOCK_DEVICES.map(dev => Object.assign({}, dev));
+    }
+
+    async pair(_protocol) {
+        throw new Error('Use pairStart() and pairFinish() for interactive pairing');
+    }
+
+    async pairStart(protocol) {
+        await this._check('pairStart');
+        this._pairing = protocol || 'airplay';
+        return { status: 'awaitingPin' };
+    }
+
+    async pairFinish(pin) {
+        await this._check('pairFinish');
+        if (!this._pairing) {
+            throw new Error('No active pairing process. Start pairing first.');
+        }
+        const protocol = this._pairing;
+        this._pairing = null;
+        if (String(pin) !== String(this.pin)) {
+            throw new Error('Pairing failed after PIN entry: wrong PIN');
+        }
+        return { status: 'paired', credentials: 'mock-' + protocol + '-credentials' };
+    }
+
+    pairAbort() {
+        this._pairing = null;
+    }
+
+    async getCapabilities() {
+        await this._check('getCapabilities');
+        const features = {};
+        for (const states of Object.values(STATE_DEFINITIONS)) {
+            for (const def of Object.values(states)) {
+                if (def.feature) features[def.feature] = 'available';
+            }
+        }
+        return Object.assign(features, this.features);
+    }
+
+    async getPlaying() {
+        await this._check('getPlaying');
+        return this._playing();
+    }
+
+    async sendCommand(command) {
+        await this._check('sendCommand');
+        this.commandLog.push(command);
+
+        switch (command) {
+            case 'play':
+                this._setDeviceState('playing');
+                break;
+            case 'pause':
+                this._setDeviceState('paused');
+                break;
+            case 'playPause':
+                this._setDeviceState(this._deviceState === 'playing' ? 'paused' : 'playing');
+                break;
+            case 'stop':
+                this._setDeviceState('idle');
+                break;
+            case 'next':
+                this._jumpTo(this._index + 1);
+                break;
+            case 'previous':
+                this._jumpTo(this._index - 1);
+                break;
+            case 'skipForward':
+                await this.seekTo(this._currentPosition() + 10);
+                break;
+            case 'skipBackward':
+                await this.seekTo(this._currentPosition() - 10);
+                break;
+            case 'volumeUp':
+                await this.setVolume(Math.min(100, this.volume + 5));
+                break;
+            case 'volumeDown':
+                await this.setVolume(Math.max(0, this.volume - 5));
+                break;
+        }
+    }
+
+    async setText(text) {
+        await this._check('setText');
+        this.text = text;
+    }
+
+    async appendText(text) {
+        await this._check('appendText');
+        this.text += text;
+    }
+
+    async clearText() {
+        await this._check('clearText');
+        this.text = '';
+    }
+
+    async swipe(startX, startY, endX, endY, _durationMs) {
+        await this._check('swipe');
+        this.commandLog.push('swipe:' + [startX, startY, endX, endY].join(','));
+    }
+
+    async touchTap(x, y) {
+        await this._check('touchTap');
+        this.commandLog.push(x === undefined ? 'tap' : 'tap:' + x + ',' + y);
+    }
+
+    async getAccountList() {
+        await this._check('getAccountList');
+        return this.accounts.map(a => Object.assign({}, a));
+    }
+
+    async switchAccount(accountId) {
+        await this._check('switchAccount');
+        if (!this.accounts.some(a => a.id === accountId)) {
+            throw new Error('Unknown account: ' + accountId);
+        }
+        this.currentAccount = accountId;
+    }
+
+    async getPowerState() {
+        await this._check('getPowerState');
+        return this.power;
+    }
+
+    async turnOn() {
+        await this._check('turnOn');
+        this.power = true;
+        this._emit('power', { state: true });
+    }
+
+    async turnOff() {
+        await this._check('turnOff');
+        this.power = false;
+        this._emit('power', { state: false });
+        if (this._deviceState === 'playing') this._setDeviceState('paused');
+    }
+
+    async setShuffle(mode) {
+        await this._check('setShuffle');
+        this.shuffle = mode;
+        this._emitPlaying();
+    }
+
+    async setRepeat(mode) {
+        await this._check('setRepeat');
+        this.repeat = mode;
+        this._emitPlaying();
+    }
+
+    async setVolume(level) {
+        await this._check('setVolume');
+        this.volume = level;
+        this._emit('volume', { level });
+    }
+
+    async getOutputDevices() {
+        await this._check('getOutputDevices');
+        return this._outputList();
+    }
+
+    async addOutputDevices(identifiers) {
+        await this._check('addOutputDevices');
+        for (const id of identifiers) {
+            const output = this._findOutput(id);
+            if (!this.outputs.includes(output)) this.outputs.push(output);
+        }
+        return this._outputsChanged();
+    }
+
+    async removeOutputDevices(identifiers) {
+        await this._check('removeOutputDevices');
+        this.outputs = this.outputs.filter(o => !identifiers.includes(o.identifier));
+        return this._outputsChanged();
+    }
+
+    async setOutputDevices(identifiers) {
+        await this._check('setOutputDevices');
+        this.outputs = identifiers.map(id => this._findOutput(id));
+        return this._outputsChanged();
+    }
+
+    async setOutputVolume(identifier, level) {
+        await this._check('setOutputVolume');
+        this._findOutput(identifier).volume = level;
+        return this._outputsChanged();
+    }
+
+    async seekTo(positionSeconds) {
+        await this._check('seekTo');
+        const item = this.timeline[this._index];
+        if (!item) return;
+        this._position = Math.max(0, Math.min(item.duration || 0, positionSeconds));
+        this._positionAt = Date.now();
+        this._scheduleItemEnd();
+        this._emitPlaying();
+    }
+
+    async playUrl(url) {
+        await this._check('playUrl');
+        this._emit('playUrl', { state: 'loading', url, error: '' });
+        this._finishStream(() => this._emit('playUrl', { state: 'finished', url, error: '' }));
+    }
+
+    async streamFile(pathOrBuffer) {
+        await this._check('streamFile');
+        const path = Buffer.isBuffer(pathOrBuffer) ? '/tmp/mock_stream_' + Date.now() : pathOrBuffer;
+        this._emit('streamFile', { state: 'loading', path, error: '' });
+        this._finishStream(() => this._emit('streamFile', { state: 'finished', path, error: '' }));
+        return path;
+    }
+
+    _finishStream(emitEnd) {
+        if (this.streamDuration > 0) {
+            setTimeout(emitEnd, this.streamDuration);
+        } else {
+            setImmediate(emitEnd);
+        }
+    }
+
+    async getAppList() {
+        await this._check('getAppList');
+        return this.apps.map(a => Object.assign({}, a));
+    }
+
+    async launchApp(appId) {
+        await this._check('launchApp');
+        if (!this.apps.some(a => a.id === appId)) {
+            throw new Error('App not found: ' + appId);
+        }
+        this.currentApp = appId;
+        const index = this.timeline.findIndex(item => item.appId === appId);
+        if (index >= 0) {
+            this._index = index;
+            this._position = 0;
+            this._positionAt = Date.now();
+            this._setDeviceState('paused');
+        } else {
+            this._setDeviceState('idle');
+        }
+    }
+
+    async getArtwork(_width, _height) {
+        await this._check('getArtwork');
+        if (this._deviceState === 'idle') return null;
+        return { data: ARTWORK_PNG, mimetype: 'image/png' };
+    }
+
+    startPushUpdates(onUpdate) {
+        this._onUpdate = onUpdate;
+
+        setImmediate(() => {
+            if (this._onUpdate !== onUpdate) return;
+            if (this.failures.unreachable || this.failures.auth) {
+                this._emit('connection', { connected: false, reason: this.failures.auth ? 'auth_error' : 'process_error' });
+                return;
+            }
+            this._emit('power', { state: this.power });
+            this._emit('volume', { level: this.volume });
+            this._emit('outputs', { devices: this._outputList() });
+            this._emit('keyboard', { focused: false });
+            this._emitPlaying();
+            this._scheduleItemEnd();
+        });
+
+        if (this.failures.disconnectAfter) {
+            this._disconnectTimer = setTimeout(() => {
+                this._disconnectTimer = null;
+                this.simulateDisconnect('connection_lost');
+            }, this.failures.disconnectAfter);
+        }
+
+        return {
+            stop: () => {
+                if (this._onUpdate === onUpdate) this._stopPush();
+            },
+        };
+    }
+
+    async isReachable() {
+        await this._delay();
+        return !this.failures.unreachable;
+    }
+
+    async close() {
+        this._stopPush();
+        this._pairing = null;
+    }
+
+    // --- Simulation internals ---
+
+    _delay() {
+        if (!this.latency) return Promise.resolve();
+        return new Promise(resolve => setTimeout(resolve, this.latency));
+    }
+
+    async _check(method) {
+        await this._delay();
+        if (this.failures.unreachable) {
+            throw new Error('Mock device ' + this.name + ' is unreachable');
+        }
+        if (this.failures.auth) {
+            throw new Error('Authentication failed for mock device ' + this.name);
+        }
+        if ((this.failures.methods || []).includes(method)) {
+            throw new Error('Simulated failure in ' + method);
+        }
+    }
+
+    _emit(type, data) {
+        if (this._onUpdate) this._onUpdate({ type, data });
+    }
+
+    _emitPlaying() {
+        this._emit('playing', this._playing());
+    }
+
+    _stopPush() {
+        this._onUpdate = null;
+        if (this._itemTimer) {
+            clearTimeout(this._itemTimer);
+            this._itemTimer = null;
+        }
+        if (this._disconnectTimer) {
+            clearTimeout(this._disconnectTimer);
+            this._disconnectTimer = null;
+        }
+    }
+
+    _currentPosition() {
+        if (this._deviceState !== 'playing') return this._position;
+        return this._position + (Date.now() - this._positionAt) / 1000;
+    }
+
+    /**
+     * Advance the timeline to the current time: finished items are
+     * replaced by the next ones, after the last item the device goes idle.
+     */
+    _syncTimeline() {
+        let position = this._currentPosition();
+        while (this._deviceState === 'playing') {
+            const item = this.timeline[this._index];
+            if (!item || position < item.duration) break;
+            position -= item.duration;
+            this._index++;
+            if (this._index >= this.timeline.length) {
+                this._index = -1;
+                this._deviceState = 'idle';
+                position = 0;
+            }
+        }
+        this._position = position;
+        this._positionAt = Date.now();
+    }
+
+    _playing() {
+        this._syncTimeline();
+        const item = this.timeline[this._index] || {};
+        const app = this.apps.find(a => a.id === (item.appId || this.currentApp)) || {};
+        const idle = this._deviceState === 'idle';
+        return {
+            title: idle ? '' : item.title || '',
+            artist: idle ? '' : item.artist || '',
+            album: idle ? '' : item.album || '',
+            genre: idle ? '' : item.genre || '',
+            mediaType: idle ? 'unknown' : item.mediaType || 'unknown',
+            deviceState: this._deviceState,
+            app: app.name || '',
+            appId: app.id || '',
+            position: idle ? 0 : Math.floor(this._position),
+            duration: idle ? 0 : item.duration || 0,
+            shuffle: this.shuffle,
+            repeat: this.repeat,
+            artworkId: idle ? '' : 'mock-' + this._index,
+            seriesName: idle ? '' : item.seriesName || '',
+            seasonNumber: idle ? 0 : item.seasonNumber || 0,
+            episodeNumber: idle ? 0 : item.episodeNumber || 0,
+            contentId: idle ? '' : item.contentId || '',
+            itunesStoreId: '',
+            rate: this._deviceState === 'playing' ? 1 : 0,
+        };
+    }
+
+    _setDeviceState(state) {
+        this._syncTimeline();
+        if (state !== 'idle' && this._index < 0) {
+            if (!this.timeline.length) return;
+            this._index = 0;
+            this._position = 0;
+        }
+        this._deviceState = state;
+        this._positionAt = Date.now();
+        this._scheduleItemEnd();
+        this._emitPlaying();
+    }
+
+    _jumpTo(index) {
+        if (!this.timeline.length) return;
+        this._index = Math.max(0, Math.min(this.timeline.length - 1, index));
+        this._position = 0;
+        this._positionAt = Date.now();
+        if (this._deviceState === 'idle') this._deviceState = 'playing';
+        this._scheduleItemEnd();
+        this._emitPlaying();
+    }
+
+    _scheduleItemEnd() {
+        if (this._itemTimer) {
+            clearTimeout(this._itemTimer);
+            this._itemTimer = null;
+        }
+        const item = this.timeline[this._index];
+        if (!this._onUpdate || this._deviceState !== 'playing' || !item) return;
+
+        const remaining = Math.max(0, item.duration - this._currentPosition());
+        this._itemTimer = setTimeout(() => {
+            this._itemTimer = null;
+            this._emitPlaying();
+            this._scheduleItemEnd();
+        }, remaining * 1000);
+    }
+
+    _findOutput(identifier) {
+        const output = this.availableOutputs.find(o => o.identifier === identifier);
+        if (!output) throw new Error('Unknown output device: ' + identifier);
+        return output;
+    }
+
+    _outputList() {
+        return this.outputs.map(o => Object.assign({}, o));
+    }
+
+    _outputsChanged() {
+        const devices = this._outputList();
+        this._emit('outputs', { devices });
+        return devices;
+    }
+}
+
+module.exports = { MockBackend, MOCK_DEVICES };
@@ -3,12 +3,18 @@
 const { BaseBackend } = require('./base');
 const { NODE_KEY_MAP } = require('../constants');
 
+// Features that node-appletv-x can serve (remote keys come from NODE_KEY_MAP)
+const NODE_FEATURES = ['PowerState', 'TurnOn', 'TurnOff', 'PushUpdates', 'Title', 'Artist', 'Album', 'Position', 'TotalTime', 'PlaybackRate'];
+
 class NodeBackend extends BaseBackend {
     constructor(deviceConfig, log) {
         super(deviceConfig, log);
         this.appletv = null;
         this.connection = null;
         this._cachedPlaying = null;
+        /** Device and PIN callback of a running pairing (see pairStart) */
+        this._pairDevice = null;
+        this._pairCallback = null;
         this._loadLibrary();
     }
 
@@ -37,15 +43,19 @@ class NodeBackend extends BaseBackend {
         }));
     }
 
-    async _ensureConnection() {
-        if (this.connection) return;
+    async _findDevice() {
         if (!this.appletv) throw new Error('node-appletv-x not available');
 
         const devices = await this.appletv.scan(this.deviceConfig.identifier);
         if (!devices || devices.length === 0) {
             throw new Error('Device ' + this.deviceConfig.identifier + ' not found on network');
         }
-        const device = devices[0];
+        return devices[0];
+    }
+
+    async _ensureConnection() {
+        if (this.connection) return;
+        const device = await this._findDevice();
 
         const credStr = this.deviceConfig.credentials && this.deviceConfig.credentials.mrp;
         if (credStr) {
@@ -56,12 +66,71 @@ class NodeBackend extends BaseBackend {
         }
     }
 
-    async pair(protocol) {
-        if (!this.appletv) throw new Error('node-appletv-x not available');
-        throw new Error(
-            'Pairing with node-appletv-x requires interactive PIN entry. ' +
-            'Use the CLI: npx appletv pair'
-        );
+    async pair(_protocol) {
+        throw new Error('Use pairStart() and pairFinish() for interactive pairing');
+    }
+
+    /**
+     * Start MRP pairing: opens an unauthenticated connection, the Apple TV then shows a PIN.
+     * @param {string} [protocol] - only 'mrp' is supported
+     */
+    async pairStart(protocol) {
+        if (protocol && protocol !== 'mrp') {
+            throw new Error('node-appletv-x only supports MRP pairing, not ' + protocol);
+        }
+        this.pairAbort();
+
+        const device = await this._findDevice();
+        await device.openConnection();
+        this._pairDevice = device;
+        try {
+            this._pairCallback = await device.pair();
+        } catch (err) {
+            this.pairAbort();
+            throw new Error('Pairing failed: ' + err.message);
+        }
+        return { status: 'awaitingPin' };
+    }
+
+    async pairFinish(pin) {
+        if (!this._pairCallback) {
+            throw new Error('No active pairing process. Start pairing first.');
+        }
+        const callback = this._pairCallback;
+        this._pairCallback = null;
+        try {
+            const device = await callback(String(pin));
+            return { status: 'paired', credentials: device.credentials.toString() };
+        } catch (err) {
+            throw new Error('Pairing failed: ' + err.message);
+        } finally {
+            this.pairAbort();
+        }
+    }
+
+    pairAbort() {
+        this._pairCallback = null;
+        if (this._pairDevice) {
+            try {
+                this._pairDevice.closeConnection();
+            } catch (_err) {
+                // ignore
+            }
+            this._pairDevice = null;
+        }
+    }
+
+    async getCapabilities() {
+        const capabilities = {};
+        const keyFeatures = Object.keys(NODE_KEY_MAP).map(key => key.charAt(0).toUpperCase() + key.slice(1));
+        for (const feature of [...keyFeatures, ...NODE_FEATURES]) {
+            capabilities[feature] = 'available';
+        }
+        return capabilities;
+    }
+
+    supportsCommand(command) {
+        return command in NODE_KEY_MAP;
     }
 
     async getPlaying() {
@@ -70,7 +139,9 @@ class NodeBackend extends BaseBackend {
             title: '', artist: '', album: '', genre: '',
             mediaType: 'unknown', deviceState: 'idle',
             app: '', appId: '', position: 0, duration: 0,
-            shuffle: 'off', repeat: 'off',
+            shuffle: 'off', repeat: 'off', artworkId: '',
+            seriesName: '', seasonNumber: 0, episodeNumber: 0,
+            contentId: '', itunesStoreId: '', rate: null,
         };
     }
 
@@ -87,6 +158,34 @@ class NodeBackend extends BaseBackend {
         await this.connection.sendKeyCommand(keyValue);
     }
 
+    async setText(_text) {
+        throw new Error('Text input is not supported by node-appletv-x backend');
+    }
+
+    async appendText(_text) {
+        throw new Error('Text input is not supported by node-appletv-x backend');
+    }
+
+    async clearText() {
+        throw new Error('Text input is not supported by node-appletv-x backend');
+    }
+
+    async swipe(_startX, _startY, _endX, _endY, _durationMs) {
+        throw new Error('Touch gestures are not supported by node-appletv-x backend');
+    }
+
+    async touchTap(_x, _y) {
+        throw new Error('Touch gestures are not supported by node-appletv-x backend');
+    }
+
+    async getAccountList() {
+        throw new Error('User accounts are not supported by node-appletv-x backend');
+    }
+
+    async switchAccount(_accountId) {
+        throw new Error('User accounts are not supported by node-appletv-x backend');
+    }
+
     async getPowerState() {
         // node-appletv-x does not have a direct power state API
         // assume on if connected
@@ -114,10 +213,50 @@ class NodeBackend extends BaseBackend {
         }
     }
 
+    async setShuffle(_mode) {
+        throw new Error('Shuffle is not supported by node-appletv-x backend');
+    }
+
+    async setRepeat(_mode) {
+        throw new Error('Repeat is not supported by node-appletv-x backend');
+    }
+
+    async setVolume(_level) {
+        throw new Error('Volume control is not supported by node-appletv-x backend');
+    }
+
+    async getOutputDevices() {
+        throw new Error('Output devices are not supported by node-appletv-x backend');
+    }
+
+    async addOutputDevices(_identifiers) {
+        throw new Error('Output devices are not supported by node-appletv-x backend');
+    }
+
+    async removeOutputDevices(_identifiers) {
+        throw new Error('Output devices are not supported by node-appletv-x backend');
+    }
+
+    async setOutputDevices(_identifiers) {
+        throw new Error('Output devices are not supported by node-appletv-x backend');
+    }
+
+    async setOutputVolume(_identifier, _level) {
+        throw new Error('Output devices are not supported by node-appletv-x backend');
+    }
+
     async seekTo(_positionSeconds) {
         this.log.warn('Seek is not supported by node-appletv-x backend');
     }
 
+    async playUrl(_url) {
+        throw new Error('URL playback is not supported by node-appletv-x backend');
+    }
+
+    async streamFile(_pathOrBuffer) {
+        throw new Error('Audio streaming is not supported by node-appletv-x backend');
+    }
+
     async getAppList() {
         this.log.warn('App list is not supported by node-appletv-x backend');
         return [];
@@ -153,6 +292,13 @@ class NodeBackend extends BaseBackend {
                     duration: (info && info.duration) || 0,
                     shuffle: 'off',
                     repeat: 'off',
+                    artworkId: '',
+                    seriesName: '',
+                    seasonNumber: 0,
+                    episodeNumber: 0,
+                    contentId: '',
+                    itunesStoreId: '',
+                    rate: info && typeof info.playbackRate === 'number' ? info.playbackRate : null,
                 };
                 onUpdate({ type: 'playing', data: this._cachedPlaying });
             });
@@ -0,0 +1,213 @@
+'use strict';
+
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const path = require('path');
+const { ATVSCRIPT_TIMEOUT, BRIDGE_CONNECT_TIMEOUT } = require('../constants');
+
+const BRIDGE_SCRIPT = path.join(__dirname, 'pyatv-bridge.py');
+
+/**
+ * Long-lived pyatv-bridge.py process for a single device.
+ * Keeps the pyatv connection open and multiplexes JSON requests (matched by id)
+ * and push events over the process' stdin/stdout.
+ *
+ * Events:
+ *   'push' (event) - push update line in atvscript push_updates format
+ *   'exit' (code)  - bridge process has terminated
+ */
+class PyatvBridge extends EventEmitter {
+    /**
+     * @param {string} pythonPath - Python interpreter that has pyatv installed
+     * @param {string[]} deviceArgs - Device selection/credential args (same as for atvscript)
+     * @param {object} log - ioBroker logger
+     */
+    constructor(pythonPath, deviceArgs, log) {
+        super();
+        this.pythonPath = pythonPath;
+        this.deviceArgs = deviceArgs;
+        this.log = log;
+
+        this._proc = null;
+        this._starting = null;
+        this._onReady = null;
+        this._ready = false;
+        this._buffer = '';
+        this._nextId = 1;
+        /** @type {Map<number, {resolve: function, reject: function, timer: NodeJS.Timeout}>} */
+        this._pending = new Map();
+    }
+
+    /**
+     * True while the bridge process is alive (starting or connected).
+     */
+    get running() {
+        return !!this._proc;
+    }
+
+    /**
+     * Spawn the bridge and wait until it is connected to the device.
+     * Concurrent callers share the same start-up.
+     * @returns {Promise<void>}
+     */
+    start() {
+        if (this._ready) return Promise.resolve();
+        if (this._starting) return this._starting;
+
+        this._starting = new Promise((resolve, reject) => {
+            const proc = spawn(this.pythonPath, [BRIDGE_SCRIPT, ...this.deviceArgs], {
+                stdio: ['pipe', 'pipe', 'pipe'],
+            });
+            this._proc = proc;
+            this._buffer = '';
+
+            const timer = setTimeout(() => {
+                this._onReady(new Error('pyatv bridge did not connect within ' + (BRIDGE_CONNECT_TIMEOUT / 1000) + 's'));
+                this.stop();
+            }, BRIDGE_CONNECT_TIMEOUT);
+
+            this._onReady = (err) => {
+                clearTimeout(timer);
+                this._starting = null;
+                this._onReady = null;
+                if (err) {
+                    reject(err);
+                } else {
+                    this._ready = true;
+                    resolve();
+                }
+            };
+
+            proc.stdout.on('data', (chunk) => this._onData(chunk));
+
+            proc.stderr.on('data', (chunk) => {
+                this.log.debug('pyatv bridge stderr: ' + chunk.toString().trim());
+            });
+
+            proc.on('error', (err) => {
+                if (this._onReady) {
+                    this._onReady(new Error('Failed to start pyatv bridge: ' + err.message));
+                }
+            });
+
+            proc.on('exit', (code) => {
+                if (this._proc === proc) {
+                    this._proc = null;
+                    this._ready = false;
+                }
+                if (this._onReady) {
+                    this._onReady(new Error('pyatv bridge exited during connect (code ' + code + ')'));
+                }
+                this._rejectAll(new Error('pyatv bridge exited (code ' + code + ')'));
+                this.emit('exit', code);
+            });
+        });
+
+        return this._starting;
+    }
+
+    /**
+     * Send a request to the bridge and wait for its response.
+     * @param {string} cmd - Bridge command, e.g. 'remote', 'playing', 'artwork'
+     * @param {object} [args] - Keyword arguments for the command
+     * @param {number} [timeout] - ms
+     * @returns {Promise<any>} The response's data field
+     */
+    async request(cmd, args, timeout) {
+        await this.start();
+        if (!this._proc) throw new Error('pyatv bridge is not running');
+        timeout = timeout || ATVSCRIPT_TIMEOUT;
+
+        const id = this._nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this._pending.delete(id);
+                reject(new Error('pyatv bridge request "' + cmd + '" timed out'));
+            }, timeout);
+            this._pending.set(id, { resolve, reject, timer });
+
+            try {
+                this._proc.stdin.write(JSON.stringify({ id, cmd, args: args || {} }) + '\n');
+            } catch (err) {
+                clearTimeout(timer);
+                this._pending.delete(id);
+                reject(new Error('Failed to write to pyatv bridge: ' + err.message));
+            }
+        });
+    }
+
+    /**
+     * Terminate the bridge. Closing stdin lets it disconnect cleanly,
+     * SIGTERM follows if it is still alive after 2 seconds.
+     */
+    stop() {
+        const proc = this._proc;
+        if (!proc) return;
+        this._proc = null;
+        this._ready = false;
+        this._rejectAll(new Error('pyatv bridge stopped'));
+        try {
+            proc.stdin.end();
+            setTimeout(() => {
+                if (proc.exitCode === null && !proc.killed) proc.kill('SIGTERM');
+            }, 2000);
+        } catch (_err) {
+            // Process may already be dead
+        }
+    }
+
+    _onData(chunk) {
+        this._buffer += chunk.toString();
+        const lines = this._buffer.split('\n');
+        this._buffer = lines.pop();
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (_err) {
+                this.log.debug('Failed to parse pyatv bridge line: ' + line.substring(0, 200));
+                continue;
+            }
+            this._handleMessage(message);
+        }
+    }
+
+    _handleMessage(message) {
+        if (this._onReady) {
+            if (message.ready) {
+                this._onReady(null);
+            } else if (message.result === 'failure') {
+                this._onReady(new Error('pyatv bridge error: ' + (message.error || 'unknown')));
+            }
+            return;
+        }
+
+        if (message.id === undefined || message.id === null) {
+            this.emit('push', message);
+            return;
+        }
+
+        const pending = this._pending.get(message.id);
+        if (!pending) return; // already timed out
+        this._pending.delete(message.id);
+        clearTimeout(pending.timer);
+
+        if (message.result === 'failure') {
+            pending.reject(new Error('pyatv error: ' + (message.error || 'unknown')));
+        } else {
+            pending.resolve(message.data);
+        }
+    }
+
+    _rejectAll(err) {
+        for (const pending of this._pending.values()) {
+            clearTimeout(pending.timer);
+            pending.reject(err);
+        }
+        this._pending.clear();
+    }
+}
+
+module.exports = { PyatvBridge };
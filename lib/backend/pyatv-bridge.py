@@ -0,0 +1,401 @@
+#!/usr/bin/env python3
+"""Persistent pyatv bridge for ioBroker.apple-tv.
+
+Keeps a single connection to one Apple TV open and serves JSON requests
+read from stdin, one object per line:
+
+    {"id": 1, "cmd": "remote", "args": {"command": "down"}}
+
+Every response carries the id of its request:
+
+    {"id": 1, "result": "success", "data": null}
+    {"id": 1, "result": "failure", "error": "..."}
+
+Lines without an id are push events in the same format atvscript
+push_updates uses (title/device_state/..., power_state, volume, connection),
+plus keyboard_focus.
+"""
+
+import argparse
+import asyncio
+import base64
+import json
+import os
+import sys
+
+import pyatv
+from pyatv.const import InputAction, Protocol, RepeatState, ShuffleState, TouchAction
+
+SCAN_TIMEOUT = 5
+STDIN_LIMIT = 1024 * 1024
+PROGRESS_INTERVAL = 1
+
+# Command suffixes (see PYATV_COMMAND_MAP) selecting a non-default input action
+ACTION_SUFFIXES = (
+    ("_double_tap", InputAction.DoubleTap),
+    ("_hold", InputAction.Hold),
+)
+
+
+def emit(message):
+    """Write one JSON message to stdout."""
+    sys.stdout.write(json.dumps(message) + "\n")
+    sys.stdout.flush()
+
+
+def enum_name(value, default):
+    """Lower-case name of a pyatv enum value, like atvscript prints it."""
+    return value.name.lower() if value is not None else default
+
+
+class Bridge:
+    """Owns the pyatv connection and dispatches requests to cmd_* methods."""
+
+    def __init__(self, args, loop):
+        self.args = args
+        self.loop = loop
+        self.atv = None
+        self.closed = loop.create_future()
+        # Key presses are serialized so they reach the device in request order
+        self.remote_lock = asyncio.Lock()
+        self.stream_task = None
+
+    async def connect(self):
+        hosts = [self.args.scan_hosts] if self.args.scan_hosts else None
+        confs = await pyatv.scan(
+            self.loop, identifier=self.args.id, hosts=hosts, timeout=SCAN_TIMEOUT
+        )
+        if not confs:
+            raise RuntimeError("Device not found: " + (self.args.id or self.args.scan_hosts or "?"))
+        conf = confs[0]
+
+        for protocol, credentials in (
+            (Protocol.MRP, self.args.mrp_credentials),
+            (Protocol.AirPlay, self.args.airplay_credentials),
+            (Protocol.Companion, self.args.companion_credentials),
+        ):
+            if credentials:
+                conf.set_credentials(protocol, credentials)
+
+        self.atv = await pyatv.connect(conf, self.loop)
+        self.atv.listener = self
+        self.atv.power.listener = self
+        self.atv.audio.listener = self
+        self.atv.keyboard.listener = self
+
+    def close(self):
+        if self.stream_task is not None:
+            self.stream_task.cancel()
+        if self.atv is not None:
+            self.atv.close()
+            self.atv = None
+        if not self.closed.done():
+            self.closed.set_result(True)
+
+    async def handle(self, request):
+        req_id = request.get("id")
+        try:
+            handler = getattr(self, "cmd_" + str(request.get("cmd", "")), None)
+            if handler is None:
+                raise ValueError("Unknown command: " + str(request.get("cmd")))
+            data = await handler(**(request.get("args") or {}))
+            emit({"id": req_id, "result": "success", "data": data})
+        except Exception as ex:
+            emit({"id": req_id, "result": "failure", "error": str(ex) or type(ex).__name__})
+
+    # --- Helpers ---
+
+    def playing_dict(self, playing):
+        app_name, app_id = None, None
+        try:
+            app = self.atv.metadata.app
+            if app is not None:
+                app_name, app_id = app.name, app.identifier
+        except Exception:
+            pass  # app info not supported by this device/protocol
+
+        try:
+            artwork_id = self.atv.metadata.artwork_id
+        except Exception:
+            artwork_id = None
+
+        return {
+            "result": "success",
+            "title": playing.title,
+            "artist": playing.artist,
+            "album": playing.album,
+            "genre": playing.genre,
+            "media_type": enum_name(playing.media_type, "unknown"),
+            "device_state": enum_name(playing.device_state, "idle"),
+            "position": playing.position,
+            "total_time": playing.total_time,
+            "shuffle": enum_name(playing.shuffle, "off"),
+            "repeat": enum_name(playing.repeat, "off"),
+            "app": app_name,
+            "app_id": app_id,
+            "artwork_id": artwork_id,
+            "series_name": playing.series_name,
+            "season_number": playing.season_number,
+            "episode_number": playing.episode_number,
+            "content_identifier": playing.content_identifier,
+            "itunes_store_identifier": playing.itunes_store_identifier,
+        }
+
+    # --- Commands ---
+
+    async def cmd_remote(self, command):
+        key, action = command, None
+        for suffix, input_action in ACTION_SUFFIXES:
+            if command.endswith(suffix):
+                key, action = command[: -len(suffix)], input_action
+                break
+        if key.startswith("_") or not hasattr(self.atv.remote_control, key):
+            raise ValueError("Unknown remote command: " + command)
+
+        async with self.remote_lock:
+            if action is None:
+                await getattr(self.atv.remote_control, key)()
+            else:
+                await getattr(self.atv.remote_control, key)(action)
+        return None
+
+    async def cmd_swipe(self, start_x, start_y, end_x, end_y, duration):
+        async with self.remote_lock:
+            await self.atv.touch.swipe(int(start_x), int(start_y), int(end_x), int(end_y), int(duration))
+
+    async def cmd_touch_tap(self, x=None, y=None):
+        async with self.remote_lock:
+            if x is None or y is None:
+                await self.atv.touch.click(InputAction.SingleTap)
+            else:
+                await self.atv.touch.action(int(x), int(y), TouchAction.Press)
+                await self.atv.touch.action(int(x), int(y), TouchAction.Release)
+
+    async def cmd_features(self):
+        features = self.atv.features.all_features(include_unsupported=True)
+        return {name.name: enum_name(info.state, "unknown") for name, info in features.items()}
+
+    async def cmd_playing(self):
+        return self.playing_dict(await self.atv.metadata.playing())
+
+    async def cmd_power_state(self):
+        return {"power_state": enum_name(self.atv.power.power_state, "unknown")}
+
+    async def cmd_turn_on(self):
+        await self.atv.power.turn_on()
+
+    async def cmd_turn_off(self):
+        await self.atv.power.turn_off()
+
+    async def cmd_set_shuffle(self, state):
+        await self.atv.remote_control.set_shuffle(ShuffleState[state.capitalize()])
+
+    async def cmd_set_repeat(self, state):
+        await self.atv.remote_control.set_repeat(RepeatState[state.capitalize()])
+
+    async def cmd_set_volume(self, level):
+        await self.atv.audio.set_volume(float(level))
+
+    def output_devices(self):
+        return [
+            {
+                "name": device.name,
+                "identifier": device.identifier,
+                "volume": getattr(device, "volume", None),
+            }
+            for device in self.atv.audio.output_devices
+        ]
+
+    async def cmd_output_devices(self):
+        return self.output_devices()
+
+    async def cmd_add_output_devices(self, identifiers):
+        await self.atv.audio.add_output_devices(*identifiers)
+        return self.output_devices()
+
+    async def cmd_remove_output_devices(self, identifiers):
+        await self.atv.audio.remove_output_devices(*identifiers)
+        return self.output_devices()
+
+    async def cmd_set_output_devices(self, identifiers):
+        await self.atv.audio.set_output_devices(*identifiers)
+        return self.output_devices()
+
+    async def cmd_set_output_volume(self, identifier, level):
+        if not hasattr(self.atv.audio, "set_output_device_volume"):
+            raise NotImplementedError("Per-output volume needs a newer pyatv version")
+        await self.atv.audio.set_output_device_volume(identifier, float(level))
+        return self.output_devices()
+
+    async def cmd_set_position(self, position):
+        await self.atv.remote_control.set_position(int(position))
+
+    async def cmd_app_list(self):
+        apps = await self.atv.apps.app_list()
+        return [{"name": app.name, "id": app.identifier} for app in apps]
+
+    async def cmd_launch_app(self, app_id):
+        await self.atv.apps.launch_app(app_id)
+
+    async def cmd_artwork(self, width=300, height=-1):
+        artwork = await self.atv.metadata.artwork(width=width, height=height)
+        if artwork is None or not artwork.bytes:
+            return None
+        return {
+            "data": base64.b64encode(artwork.bytes).decode("ascii"),
+            "mimetype": artwork.mimetype,
+        }
+
+    async def cmd_account_list(self):
+        accounts = await self.atv.user_accounts.account_list()
+        return [{"name": account.name, "id": account.identifier} for account in accounts]
+
+    async def cmd_switch_account(self, account_id):
+        await self.atv.user_accounts.switch_account(account_id)
+
+    async def cmd_text_set(self, text):
+        await self.atv.keyboard.text_set(text)
+
+    async def cmd_text_append(self, text):
+        await self.atv.keyboard.text_append(text)
+
+    async def cmd_text_clear(self):
+        await self.atv.keyboard.text_clear()
+
+    async def cmd_keyboard_focus(self):
+        return {"keyboard_focus": enum_name(self.atv.keyboard.text_focus_state, "unknown")}
+
+    async def cmd_play_url(self, url, position=0):
+        self.start_stream("play_url", {"url": url}, self.atv.stream.play_url(url, position=position))
+
+    async def cmd_stream_file(self, path):
+        if not os.path.isfile(path):
+            raise FileNotFoundError("No such file: " + path)
+        self.start_stream("stream_file", {"path": path}, self.atv.stream.stream_file(path))
+
+    def start_stream(self, event, info, coro):
+        """Run one AirPlay/RAOP stream at a time in the background."""
+        if self.stream_task is not None and not self.stream_task.done():
+            self.stream_task.cancel()
+        self.stream_task = asyncio.ensure_future(self.run_stream(event, info, coro))
+
+    async def run_stream(self, event, info, coro):
+        """Await a stream coroutine, reporting state and progress as push events."""
+        emit({"result": "success", event: {"state": "loading", **info}})
+        progress = asyncio.ensure_future(self.report_progress())
+        try:
+            await coro
+            emit({"result": "success", event: {"state": "finished", **info}})
+        except asyncio.CancelledError:
+            emit({"result": "success", event: {"state": "stopped", **info}})
+            raise
+        except Exception as ex:
+            emit({"result": "success", event: {"state": "failed", "error": str(ex), **info}})
+        finally:
+            progress.cancel()
+
+    async def report_progress(self):
+        """Emit now-playing updates while a URL is streamed."""
+        while True:
+            await asyncio.sleep(PROGRESS_INTERVAL)
+            try:
+                emit(self.playing_dict(await self.atv.metadata.playing()))
+            except Exception:
+                return  # no metadata for this connection, state changes only
+
+    async def cmd_push_start(self):
+        self.atv.push_updater.listener = self
+        self.atv.push_updater.start()
+        try:
+            emit({"result": "success", **(await self.cmd_keyboard_focus())})
+        except Exception:
+            pass  # keyboard needs Companion, focus state stays unknown
+        try:
+            emit({"result": "success", "output_devices": self.output_devices()})
+        except Exception:
+            pass  # output devices not supported by this device/protocol
+
+    async def cmd_push_stop(self):
+        self.atv.push_updater.stop()
+
+    # --- pyatv listener callbacks ---
+
+    def playstatus_update(self, _updater, playstatus):
+        emit(self.playing_dict(playstatus))
+
+    def playstatus_error(self, _updater, exception):
+        emit({"result": "failure", "error": str(exception)})
+
+    def powerstate_update(self, _old_state, new_state):
+        emit({"result": "success", "power_state": enum_name(new_state, "unknown")})
+
+    def volume_update(self, _old_level, new_level):
+        emit({"result": "success", "volume": new_level})
+
+    def outputdevices_update(self, _old_devices, _new_devices):
+        emit({"result": "success", "output_devices": self.output_devices()})
+
+    def focusstate_update(self, _old_state, new_state):
+        emit({"result": "success", "keyboard_focus": enum_name(new_state, "unknown")})
+
+    def connection_lost(self, exception):
+        emit({"result": "success", "connection": "lost", "error": str(exception)})
+        self.close()
+
+    def connection_closed(self):
+        emit({"result": "success", "connection": "closed"})
+        self.close()
+
+
+def parse_args():
+    parser = argparse.ArgumentParser(description="pyatv JSON bridge")
+    parser.add_argument("--id", default=None)
+    parser.add_argument("-s", "--scan-hosts", default=None)
+    parser.add_argument("--mrp-credentials", default=None)
+    parser.add_argument("--airplay-credentials", default=None)
+    parser.add_argument("--companion-credentials", default=None)
+    return parser.parse_args()
+
+
+async def read_requests(loop, bridge):
+    reader = asyncio.StreamReader(limit=STDIN_LIMIT)
+    await loop.connect_read_pipe(lambda: asyncio.StreamReaderProtocol(reader), sys.stdin)
+    tasks = set()
+    while True:
+        line = await reader.readline()
+        if not line:
+            break  # stdin closed: adapter is gone or wants us to stop
+        if not line.strip():
+            continue
+        try:
+            request = json.loads(line)
+        except ValueError as ex:
+            emit({"result": "failure", "error": "Invalid request: " + str(ex)})
+            continue
+        task = asyncio.ensure_future(bridge.handle(request))
+        tasks.add(task)
+        task.add_done_callback(tasks.discard)
+
+
+async def main():
+    args = parse_args()
+    loop = asyncio.get_running_loop()
+    bridge = Bridge(args, loop)
+
+    try:
+        await bridge.connect()
+    except Exception as ex:
+        emit({"result": "failure", "error": "Connect failed: " + (str(ex) or type(ex).__name__)})
+        return 1
+
+    emit({"ready": True})
+
+    reader_task = asyncio.ensure_future(read_requests(loop, bridge))
+    await asyncio.wait([reader_task, bridge.closed], return_when=asyncio.FIRST_COMPLETED)
+    reader_task.cancel()
+    bridge.close()
+    return 0
+
+
+if __name__ == "__main__":
+    sys.exit(asyncio.run(main()))
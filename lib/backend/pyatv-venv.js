@@ -0,0 +1,135 @@
+'use strict';
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { PYATV_MIN_VERSION, PYATV_INSTALL_TIMEOUT } = require('../constants');
+
+/**
+ * Compare two dotted version strings numerically.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} <0 if a < b, 0 if equal, >0 if a > b
+ */
+function compareVersions(a, b) {
+    const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+    const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * pip requirement for pyatv: an exact pin if a version is configured,
+ * otherwise the minimum version the bridge needs.
+ * @param {string} [version] - pinned version, e.g. "0.16.0"
+ * @returns {string}
+ */
+function pyatvRequirement(version) {
+    version = (version || '').trim();
+    return version ? 'pyatv==' + version : 'pyatv>=' + PYATV_MIN_VERSION;
+}
+
+/**
+ * Read the pyatv version an interpreter can import.
+ * @param {string} pythonPath
+ * @returns {Promise<string|null>} version or null if pyatv cannot be imported
+ */
+function getPyatvVersion(pythonPath) {
+    return new Promise((resolve) => {
+        execFile(pythonPath, ['-c', 'import pyatv.const; print(pyatv.const.__version__)'], { timeout: 10000 }, (error, stdout) => {
+            const version = (stdout || '').trim();
+            resolve(error || !version ? null : version);
+        });
+    });
+}
+
+/**
+ * Python virtual environment owned by the adapter instance.
+ * pyatv is installed here instead of into the system Python, so no
+ * root rights or --break-system-packages are needed.
+ */
+class PyatvVenv {
+    /**
+     * @param {string} dir - venv directory (inside the instance data directory)
+     * @param {object} log - ioBroker logger
+     */
+    constructor(dir, log) {
+        this.dir = dir;
+        this.log = log;
+    }
+
+    /**
+     * Path of an executable inside the venv.
+     * @param {string} name
+     */
+    binPath(name) {
+        return path.join(this.dir, 'bin', name);
+    }
+
+    get pythonPath() {
+        return this.binPath('python');
+    }
+
+    /**
+     * True if the venv has a usable interpreter.
+     */
+    exists() {
+        try {
+            fs.accessSync(this.pythonPath, fs.constants.X_OK);
+            return true;
+        } catch (_e) {
+            return false;
+        }
+    }
+
+    _exec(cmd, args) {
+        this.log.info('Running: ' + cmd + ' ' + args.join(' '));
+        return new Promise((resolve, reject) => {
+            execFile(cmd, args, { timeout: PYATV_INSTALL_TIMEOUT, maxBuffer: 2 * 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) {
+                    reject(new Error(cmd + ' failed: ' + ((stderr || '').trim() || error.message)));
+                    return;
+                }
+                resolve(stdout);
+            });
+        });
+    }
+
+    /**
+     * Create the venv with the system python3.
+     */
+    async create() {
+        await fs.promises.mkdir(path.dirname(this.dir), { recursive: true });
+        try {
+            await this._exec('python3', ['-m', 'venv', this.dir]);
+        } catch (err) {
+            // Debian/Ubuntu ship the venv module (ensurepip) as a separate package
+            throw new Error(err.message + '. Make sure python3 and python3-venv are installed (e.g. sudo apt install python3-venv)');
+        }
+    }
+
+    /**
+     * Install pyatv into the venv.
+     * @param {string} requirement - pip requirement, see pyatvRequirement()
+     * @param {boolean} [upgrade] - upgrade to the newest version matching the requirement
+     */
+    async install(requirement, upgrade) {
+        const args = ['-m', 'pip', 'install', '--disable-pip-version-check'];
+        if (upgrade) args.push('--upgrade');
+        args.push(requirement);
+        await this._exec(this.pythonPath, args);
+    }
+
+    /**
+     * Delete the venv directory.
+     */
+    async remove() {
+        this.log.info('Removing pyatv environment ' + this.dir);
+        await fs.promises.rm(this.dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = { PyatvVenv, compareVersions, pyatvRequirement, getPyatvVersion };
@@ -2,10 +2,12 @@
 
 const { spawn, execFile } = require('child_process');
 const fs = require('fs');
-const path = require('path');
 const os = require('os');
+const path = require('path');
 const { BaseBackend } = require('./base');
-const { PYATV_COMMAND_MAP, ATVSCRIPT_TIMEOUT, ATVSCRIPT_SCAN_TIMEOUT } = require('../constants');
+const { PyatvBridge } = require('./pyatv-bridge');
+const { PyatvVenv, compareVersions, pyatvRequirement, getPyatvVersion } = require('./pyatv-venv');
+const { PYATV_COMMAND_MAP, PYATV_MIN_VERSION, ATVSCRIPT_TIMEOUT, ATVSCRIPT_SCAN_TIMEOUT } = require('../constants');
 
 // Common paths where pyatv binaries are installed on Linux/macOS
 const SEARCH_PATHS = [
@@ -17,10 +19,23 @@ const SEARCH_PATHS = [
     '/snap/bin',
 ];
 
+// Adapter-owned venv (see PyatvBackend.setVenvDir), preferred over system installations
+let venvDir = null;
+
 // Also search in any user's .local/bin
 function findBinary(name) {
     const fs = require('fs');
-    // First: check all known paths
+    // First: the adapter's venv
+    if (venvDir) {
+        const fullPath = path.join(venvDir, 'bin', name);
+        try {
+            fs.accessSync(fullPath, fs.constants.X_OK);
+            return fullPath;
+        } catch (_e) {
+            // venv not created yet
+        }
+    }
+    // Second: check all known paths
     for (const dir of SEARCH_PATHS) {
         const fullPath = dir + '/' + name;
         try {
@@ -30,7 +45,7 @@ function findBinary(name) {
             // not found here
         }
     }
-    // Second: scan /home/*/.local/bin/
+    // Third: scan /home/*/.local/bin/
     try {
         const homes = fs.readdirSync('/home');
         for (const user of homes) {
@@ -49,15 +64,40 @@ function findBinary(name) {
     return name;
 }
 
+// pyatv's entry points carry the interpreter they were installed for in their shebang
+function findPython(atvscriptPath) {
+    try {
+        const fd = fs.openSync(atvscriptPath, 'r');
+        const head = Buffer.alloc(256);
+        const bytes = fs.readSync(fd, head, 0, head.length, 0);
+        fs.closeSync(fd);
+        const firstLine = head.toString('utf8', 0, bytes).split('\n')[0];
+        if (firstLine.startsWith('#!')) {
+            const interpreter = firstLine.substring(2).trim();
+            // "#!/usr/bin/env python3" style shebangs fall through to PATH lookup
+            if (interpreter && !interpreter.includes(' ')) {
+                return interpreter;
+            }
+        }
+    } catch (_e) {
+        // atvscript not found as a file
+    }
+    return 'python3';
+}
+
 class PyatvBackend extends BaseBackend {
     constructor(deviceConfig, log) {
         super(deviceConfig, log);
         this.atvscriptPath = deviceConfig.atvscriptPath || findBinary('atvscript');
         this.atvremotePath = deviceConfig.atvremotePath || findBinary('atvremote');
+        this.pythonPath = deviceConfig.pythonPath || findPython(this.atvscriptPath);
         this._pairProcess = null;
+        /** @type {PyatvBridge|null} */
+        this._bridge = null;
         if (log && log.debug) {
             log.debug('atvscript path: ' + this.atvscriptPath);
             log.debug('atvremote path: ' + this.atvremotePath);
+            log.debug('python path: ' + this.pythonPath);
         }
     }
 
@@ -110,112 +150,88 @@ class PyatvBackend extends BaseBackend {
     }
 
     /**
-     * Execute atvremote with given args (for non-JSON commands).
+     * Get the persistent bridge for this device, (re)starting it if needed.
+     * @returns {Promise<PyatvBridge>}
      */
-    _execAtvremote(args, timeout) {
-        timeout = timeout || ATVSCRIPT_TIMEOUT;
-        return new Promise((resolve, reject) => {
-            execFile(this.atvremotePath, args, {
-                timeout,
-                maxBuffer: 1024 * 1024,
-            }, (error, stdout, stderr) => {
-                if (error) {
-                    reject(new Error('atvremote failed: ' + error.message + (stderr ? '. stderr: ' + stderr : '')));
-                    return;
-                }
-                resolve(stdout);
-            });
-        });
+    async _getBridge() {
+        if (!this._bridge || !this._bridge.running) {
+            this._bridge = new PyatvBridge(this.pythonPath, this._buildDeviceArgs(), this.log);
+        }
+        await this._bridge.start();
+        return this._bridge;
+    }
+
+    /**
+     * Send a request over the persistent bridge and return its data.
+     */
+    async _request(cmd, args, timeout) {
+        const bridge = await this._getBridge();
+        return bridge.request(cmd, args, timeout);
+    }
+
+    /**
+     * Use the adapter's own venv for pyatv. Its binaries take precedence
+     * over system-wide installations in findBinary().
+     * @param {string|null} dir - venv directory
+     */
+    static setVenvDir(dir) {
+        venvDir = dir || null;
     }
 
     /**
-     * Check if pyatv is installed on the system.
+     * Check if pyatv is installed - in the adapter's venv or on the system.
      * Searches common install paths, not just PATH.
-     * @returns {Promise<boolean>}
+     * @returns {Promise<{available: boolean, version: string|null, outdated: boolean, location: string|null, path: string}>}
      */
-    static checkInstalled() {
+    static async checkInstalled() {
         const atvscriptPath = findBinary('atvscript');
-        // If findBinary returned a full path (not just the name), the file exists and is executable
-        if (atvscriptPath !== 'atvscript') {
-            return Promise.resolve(true);
-        }
-        const atvremotePath = findBinary('atvremote');
-        if (atvremotePath !== 'atvremote') {
-            return Promise.resolve(true);
+        const version = await getPyatvVersion(findPython(atvscriptPath));
+        let location = null;
+        if (version) {
+            location = venvDir && atvscriptPath.startsWith(venvDir + path.sep) ? 'venv' : 'system';
         }
-        // Fallback: try executing (maybe it's in PATH)
-        return new Promise((resolve) => {
-            execFile('atvscript', ['scan', '--help'], { timeout: 5000 }, (error) => {
-                resolve(!error);
-            });
-        });
+        return {
+            available: !!version,
+            version,
+            outdated: !!version && compareVersions(version, PYATV_MIN_VERSION) < 0,
+            location,
+            path: atvscriptPath,
+        };
     }
 
     /**
-     * Attempt to auto-install pyatv.
-     * Tries in order:
-     *   1. pip3 install pyatv --break-system-packages
-     *   2. pip3 install pyatv (without flag, older systems)
-     *   3. apt install python3-pip, then retry pip3
-     *   4. pip install pyatv --break-system-packages
+     * Install pyatv into the adapter's venv, creating the venv if needed.
      * @param {object} log - logger
+     * @param {object} [options]
+     * @param {string} [options.version] - pin this pyatv version instead of the newest one
+     * @param {boolean} [options.upgrade] - upgrade an existing installation
+     * @param {boolean} [options.repair] - delete and recreate the venv first
      * @returns {Promise<boolean>} true if install succeeded
      */
-    static installPyatv(log) {
-        const execOpts = { timeout: 180000, maxBuffer: 2 * 1024 * 1024 };
-
-        const tryExec = (cmd, args) => {
-            return new Promise((resolve) => {
-                log.info('Trying: ' + cmd + ' ' + args.join(' '));
-                execFile(cmd, args, execOpts, (error, stdout, stderr) => {
-                    if (error) {
-                        log.debug(cmd + ' failed: ' + (stderr || error.message));
-                        resolve(false);
-                    } else {
-                        resolve(true);
-                    }
-                });
-            });
-        };
-
-        return (async () => {
-            // Step 1: Try pip3 with --break-system-packages (Debian 12+, Ubuntu 23+)
-            log.info('Attempting to install pyatv automatically...');
-            if (await tryExec('pip3', ['install', 'pyatv', '--break-system-packages'])) {
-                log.info('pyatv installed successfully via pip3 (--break-system-packages)');
-                return true;
-            }
-
-            // Step 2: Try pip3 without flag (older systems)
-            if (await tryExec('pip3', ['install', 'pyatv'])) {
-                log.info('pyatv installed successfully via pip3');
-                return true;
-            }
-
-            // Step 3: pip3 not found? Install python3-pip via apt first
-            log.info('pip3 not found or failed, trying to install python3-pip via apt...');
-            await tryExec('apt-get', ['update', '-qq']);
-            if (await tryExec('apt-get', ['install', '-y', 'python3-pip', 'python3-venv'])) {
-                log.info('python3-pip installed, retrying pyatv install...');
-                if (await tryExec('pip3', ['install', 'pyatv', '--break-system-packages'])) {
-                    log.info('pyatv installed successfully after apt install python3-pip');
-                    return true;
-                }
-                if (await tryExec('pip3', ['install', 'pyatv'])) {
-                    log.info('pyatv installed successfully after apt install python3-pip');
-                    return true;
-                }
+    static async installPyatv(log, options) {
+        options = options || {};
+        if (!venvDir) {
+            log.error('Cannot install pyatv: no directory for the pyatv environment set');
+            return false;
+        }
+        const venv = new PyatvVenv(venvDir, log);
+        const requirement = pyatvRequirement(options.version);
+        try {
+            if (options.repair) {
+                await venv.remove();
             }
-
-            // Step 4: Last resort - try pip (without the "3")
-            if (await tryExec('pip', ['install', 'pyatv', '--break-system-packages'])) {
-                log.info('pyatv installed successfully via pip');
-                return true;
+            if (!venv.exists()) {
+                log.info('Creating pyatv environment in ' + venvDir);
+                await venv.create();
             }
-
-            log.error('pyatv auto-install failed. Please install manually: sudo pip3 install pyatv --break-system-packages');
+            log.info('Installing ' + requirement + ' into ' + venvDir + ' - this may take a few minutes');
+            await venv.install(requirement, options.upgrade || options.repair);
+            log.info('pyatv installed successfully');
+            return true;
+        } catch (err) {
+            log.error('pyatv installation failed: ' + err.message);
             return false;
-        })();
+        }
     }
 
     async scan(scanHosts) {
@@ -429,152 +445,209 @@ class PyatvBackend extends BaseBackend {
         throw new Error('Use pairStart() and pairFinish() for interactive pairing');
     }
 
+    async getCapabilities() {
+        return (await this._request('features')) || {};
+    }
+
     async getPlaying() {
-        const args = [...this._buildDeviceArgs(), 'playing'];
-        const result = await this._execAtvscript(args);
-        return {
-            title: result.title || '',
-            artist: result.artist || '',
-            album: result.album || '',
-            genre: result.genre || '',
-            mediaType: (result.media_type || 'unknown').toLowerCase(),
-            deviceState: (result.device_state || 'idle').toLowerCase(),
-            app: result.app || '',
-            appId: result.app_id || '',
-            position: result.position || 0,
-            duration: result.total_time || 0,
-            shuffle: (result.shuffle || 'off').toLowerCase(),
-            repeat: (result.repeat || 'off').toLowerCase(),
-        };
+        const result = await this._request('playing');
+        return this._mapPlaying(result || {});
     }
 
     async sendCommand(command) {
         const pyatvCmd = PYATV_COMMAND_MAP[command] || command;
-        const args = [...this._buildDeviceArgs(), pyatvCmd];
-        await this._execAtvscript(args);
+        await this._request('remote', { command: pyatvCmd });
+    }
+
+    async swipe(startX, startY, endX, endY, durationMs) {
+        await this._request('swipe', {
+            start_x: startX, start_y: startY, end_x: endX, end_y: endY, duration: durationMs,
+        });
+    }
+
+    async touchTap(x, y) {
+        await this._request('touch_tap', x === undefined || y === undefined ? {} : { x, y });
     }
 
     async getPowerState() {
-        const args = [...this._buildDeviceArgs(), 'power_state'];
-        const result = await this._execAtvscript(args);
+        const result = await this._request('power_state');
         return result.power_state === 'on';
     }
 
     async turnOn() {
-        const args = [...this._buildDeviceArgs(), 'turn_on'];
-        await this._execAtvscript(args);
+        await this._request('turn_on');
     }
 
     async turnOff() {
-        const args = [...this._buildDeviceArgs(), 'turn_off'];
-        await this._execAtvscript(args);
+        await this._request('turn_off');
+    }
+
+    async setShuffle(mode) {
+        await this._request('set_shuffle', { state: mode });
+    }
+
+    async setRepeat(mode) {
+        await this._request('set_repeat', { state: mode });
+    }
+
+    async setVolume(level) {
+        await this._request('set_volume', { level });
+    }
+
+    async getOutputDevices() {
+        return this._mapOutputDevices(await this._request('output_devices'));
+    }
+
+    async addOutputDevices(identifiers) {
+        return this._mapOutputDevices(await this._request('add_output_devices', { identifiers }));
+    }
+
+    async removeOutputDevices(identifiers) {
+        return this._mapOutputDevices(await this._request('remove_output_devices', { identifiers }));
+    }
+
+    async setOutputDevices(identifiers) {
+        return this._mapOutputDevices(await this._request('set_output_devices', { identifiers }));
+    }
+
+    async setOutputVolume(identifier, level) {
+        return this._mapOutputDevices(await this._request('set_output_volume', { identifier, level }));
     }
 
     async seekTo(positionSeconds) {
-        const args = [...this._buildDeviceArgs(), 'set_position=' + Math.floor(positionSeconds)];
-        await this._execAtvscript(args);
+        await this._request('set_position', { position: Math.floor(positionSeconds) });
+    }
+
+    async setText(text) {
+        await this._request('text_set', { text });
+    }
+
+    async appendText(text) {
+        await this._request('text_append', { text });
+    }
+
+    async clearText() {
+        await this._request('text_clear');
+    }
+
+    async playUrl(url) {
+        await this._request('play_url', { url });
+    }
+
+    async streamFile(pathOrBuffer) {
+        if (!Buffer.isBuffer(pathOrBuffer)) {
+            await this._request('stream_file', { path: pathOrBuffer });
+            return pathOrBuffer;
+        }
+
+        // pyatv streams from a file, so buffers go through a temp file
+        // that is removed once the bridge reports the stream has ended
+        const tmpPath = path.join(os.tmpdir(), 'atv_stream_' + Date.now());
+        await fs.promises.writeFile(tmpPath, pathOrBuffer);
+        const bridge = await this._getBridge().catch(async (err) => {
+            await fs.promises.unlink(tmpPath).catch(() => {});
+            throw err;
+        });
+        const cleanup = () => {
+            bridge.removeListener('push', onPush);
+            bridge.removeListener('exit', cleanup);
+            fs.promises.unlink(tmpPath).catch(() => {});
+        };
+        const onPush = (event) => {
+            const info = event.stream_file;
+            if (info && info.path === tmpPath && info.state !== 'loading') cleanup();
+        };
+        bridge.on('push', onPush);
+        bridge.once('exit', cleanup);
+        try {
+            await bridge.request('stream_file', { path: tmpPath });
+        } catch (err) {
+            cleanup();
+            throw err;
+        }
+        return tmpPath;
+    }
+
+    async getAccountList() {
+        return (await this._request('account_list')) || [];
+    }
+
+    async switchAccount(accountId) {
+        await this._request('switch_account', { account_id: accountId });
     }
 
     async getAppList() {
         try {
-            // atvscript doesn't support app_list, use atvremote instead
-            const args = [...this._buildDeviceArgs(), 'app_list'];
-            const output = await this._execAtvremote(args);
-            // Parse all "App: Name (bundle.id)" occurrences using global regex
-            // Output may be on one line separated by ", " or on multiple lines
-            const apps = [];
-            const regex = /App:\s+(.+?)\s+\(([^)]+)\)/g;
-            let match;
-            while ((match = regex.exec(output)) !== null) {
-                apps.push({ name: match[1], id: match[2] });
-            }
-            return apps;
+            return (await this._request('app_list')) || [];
         } catch (err) {
-            this.log.warn('Failed to get app list (companion credentials may be needed): ' + err.message);
+            if (!(this.deviceConfig.credentials || {}).companion) {
+                this.log.warn('No app list: Companion is not paired. Start the pairing in the instance settings to pair it.');
+            } else {
+                this.log.warn('Failed to get app list: ' + err.message);
+            }
             return [];
         }
     }
 
     async launchApp(appId) {
-        // atvscript doesn't support launch_app, use atvremote instead
-        const args = [...this._buildDeviceArgs(), 'launch_app=' + appId];
-        await this._execAtvremote(args);
+        await this._request('launch_app', { app_id: appId });
     }
 
     async getArtwork(width, height) {
         width = width || 300;
         height = height || -1;
-        const tmpPath = path.join(os.tmpdir(), 'atv_artwork_' + Date.now() + '.png');
         try {
-            const args = [
-                ...this._buildDeviceArgs(),
-                'artwork_save=' + tmpPath,
-            ];
-            await this._execAtvremote(args);
-            const data = await fs.promises.readFile(tmpPath);
-            await fs.promises.unlink(tmpPath).catch(() => {});
-            return { data, mimetype: 'image/png' };
+            const result = await this._request('artwork', { width, height });
+            if (!result || !result.data) return null;
+            return { data: Buffer.from(result.data, 'base64'), mimetype: result.mimetype || 'image/png' };
         } catch (err) {
             this.log.debug('Failed to fetch artwork: ' + err.message);
-            await fs.promises.unlink(tmpPath).catch(() => {});
             return null;
         }
     }
 
     startPushUpdates(onUpdate) {
-        const args = [...this._buildDeviceArgs(), 'push_updates'];
-        const proc = spawn(this.atvscriptPath, args, {
-            stdio: ['pipe', 'pipe', 'pipe'],
-        });
-
-        let buffer = '';
-
-        proc.stdout.on('data', (chunk) => {
-            buffer += chunk.toString();
-            const lines = buffer.split('\n');
-            buffer = lines.pop();
-
-            for (const line of lines) {
-                if (!line.trim()) continue;
-                try {
-                    const event = JSON.parse(line);
-                    if (event.result !== 'success') {
-                        this.log.warn('Push update error: ' + JSON.stringify(event));
-                        continue;
-                    }
-                    this._processPushEvent(event, onUpdate);
-                } catch (parseErr) {
-                    this.log.debug('Failed to parse push update line: ' + line);
-                }
+        let stopped = false;
+        let bridge = null;
+
+        const onPush = (event) => {
+            if (stopped) return;
+            if (event.result !== 'success') {
+                this.log.warn('Push update error: ' + JSON.stringify(event));
+                return;
             }
-        });
+            this._processPushEvent(event, onUpdate);
+        };
 
-        proc.stderr.on('data', (chunk) => {
-            this.log.debug('atvscript push_updates stderr: ' + chunk.toString());
-        });
+        const onExit = (code) => {
+            if (stopped) return;
+            this.log.info('pyatv bridge exited with code ' + code);
+            onUpdate({ type: 'connection', data: { connected: false, reason: 'process_exit' } });
+        };
 
-        proc.on('error', (err) => {
-            this.log.error('Push updates process error: ' + err.message);
+        this._getBridge().then((b) => {
+            if (stopped) return;
+            bridge = b;
+            bridge.on('push', onPush);
+            bridge.once('exit', onExit);
+            return bridge.request('push_start');
+        }).catch((err) => {
+            if (stopped) return;
+            this.log.error('Push updates failed to start: ' + err.message);
             onUpdate({ type: 'connection', data: { connected: false, reason: 'process_error' } });
         });
 
-        proc.on('exit', (code) => {
-            this.log.info('Push updates process exited with code ' + code);
-            onUpdate({ type: 'connection', data: { connected: false, reason: 'process_exit' } });
-        });
-
         return {
             stop: () => {
-                try {
-                    proc.stdin.write('\n');
-                    setTimeout(() => {
-                        if (!proc.killed) proc.kill('SIGTERM');
-                    }, 2000);
-                } catch (_err) {
-                    // Process may already be dead
+                stopped = true;
+                if (bridge) {
+                    bridge.removeListener('push', onPush);
+                    bridge.removeListener('exit', onExit);
+                    if (bridge.running) {
+                        bridge.request('push_stop').catch(() => {});
+                    }
                 }
             },
-            process: proc,
         };
     }
 
@@ -589,20 +662,7 @@ class PyatvBackend extends BaseBackend {
         if ('title' in event || 'device_state' in event) {
             onUpdate({
                 type: 'playing',
-                data: {
-                    title: event.title || '',
-                    artist: event.artist || '',
-                    album: event.album || '',
-                    genre: event.genre || '',
-                    mediaType: (event.media_type || 'unknown').toLowerCase(),
-                    deviceState: (event.device_state || 'idle').toLowerCase(),
-                    app: event.app || '',
-                    appId: event.app_id || '',
-                    position: event.position || 0,
-                    duration: event.total_time || 0,
-                    shuffle: (event.shuffle || 'off').toLowerCase(),
-                    repeat: (event.repeat || 'off').toLowerCase(),
-                },
+                data: this._mapPlaying(event),
             });
         }
 
@@ -613,6 +673,42 @@ class PyatvBackend extends BaseBackend {
             });
         }
 
+        if ('play_url' in event) {
+            onUpdate({
+                type: 'playUrl',
+                data: {
+                    state: event.play_url.state,
+                    url: event.play_url.url || '',
+                    error: event.play_url.error || '',
+                },
+            });
+        }
+
+        if ('stream_file' in event) {
+            onUpdate({
+                type: 'streamFile',
+                data: {
+                    state: event.stream_file.state,
+                    path: event.stream_file.path || '',
+                    error: event.stream_file.error || '',
+                },
+            });
+        }
+
+        if ('output_devices' in event) {
+            onUpdate({
+                type: 'outputs',
+                data: { devices: this._mapOutputDevices(event.output_devices) },
+            });
+        }
+
+        if ('keyboard_focus' in event) {
+            onUpdate({
+                type: 'keyboard',
+                data: { focused: event.keyboard_focus === 'focused' },
+            });
+        }
+
         if ('connection' in event) {
             onUpdate({
                 type: 'connection',
@@ -621,6 +717,42 @@ class PyatvBackend extends BaseBackend {
         }
     }
 
+    _mapOutputDevices(devices) {
+        return (devices || []).map(dev => ({
+            name: dev.name || '',
+            identifier: dev.identifier || '',
+            volume: typeof dev.volume === 'number' ? dev.volume : null,
+        }));
+    }
+
+    /**
+     * Map a pyatv now-playing dict (atvscript key names) to the backend format.
+     */
+    _mapPlaying(result) {
+        return {
+            title: result.title || '',
+            artist: result.artist || '',
+            album: result.album || '',
+            genre: result.genre || '',
+            mediaType: (result.media_type || 'unknown').toLowerCase(),
+            deviceState: (result.device_state || 'idle').toLowerCase(),
+            app: result.app || '',
+            appId: result.app_id || '',
+            position: result.position || 0,
+            duration: result.total_time || 0,
+            shuffle: (result.shuffle || 'off').toLowerCase(),
+            repeat: (result.repeat || 'off').toLowerCase(),
+            artworkId: result.artwork_id || '',
+            seriesName: result.series_name || '',
+            seasonNumber: result.season_number || 0,
+            episodeNumber: result.episode_number || 0,
+            contentId: result.content_identifier || '',
+            itunesStoreId: result.itunes_store_identifier ? String(result.itunes_store_identifier) : '',
+            // pyatv's Playing has no playback rate, playing.rate is not created (no PlaybackRate feature)
+            rate: null,
+        };
+    }
+
     async isReachable() {
         try {
             await this.getPowerState();
@@ -629,6 +761,16 @@ class PyatvBackend extends BaseBackend {
             return false;
         }
     }
+
+    /**
+     * Stop the persistent bridge process (if running).
+     */
+    async close() {
+        if (this._bridge) {
+            this._bridge.stop();
+            this._bridge = null;
+        }
+    }
 }
 
 module.exports = { PyatvBackend };
@@ -2,29 +2,44 @@
 
 /**
  * Mapping from ioBroker state names (camelCase) to pyatv command names (snake_case).
+ * Keys that accept a pyatv InputAction also have Hold and DoubleTap variants;
+ * the bridge maps the _hold/_double_tap suffix to the input action.
  */
 const PYATV_COMMAND_MAP = {
-    up:           'up',
-    down:         'down',
-    left:         'left',
-    right:        'right',
-    select:       'select',
-    menu:         'menu',
-    home:         'home',
-    homeHold:     'home_hold',
-    topMenu:      'top_menu',
-    play:         'play',
-    pause:        'pause',
-    playPause:    'play_pause',
-    stop:         'stop',
-    next:         'next',
-    previous:     'previous',
-    skipForward:  'skip_forward',
-    skipBackward: 'skip_backward',
-    volumeUp:     'volume_up',
-    volumeDown:   'volume_down',
-    channelUp:    'channel_up',
-    channelDown:  'channel_down',
+    up:              'up',
+    upHold:          'up_hold',
+    upDoubleTap:     'up_double_tap',
+    down:            'down',
+    downHold:        'down_hold',
+    downDoubleTap:   'down_double_tap',
+    left:            'left',
+    leftHold:        'left_hold',
+    leftDoubleTap:   'left_double_tap',
+    right:           'right',
+    rightHold:       'right_hold',
+    rightDoubleTap:  'right_double_tap',
+    select:          'select',
+    selectHold:      'select_hold',
+    selectDoubleTap: 'select_double_tap',
+    menu:            'menu',
+    menuHold:        'menu_hold',
+    menuDoubleTap:   'menu_double_tap',
+    home:            'home',
+    homeHold:        'home_hold',
+    homeDoubleTap:   'home_double_tap',
+    topMenu:         'top_menu',
+    play:            'play',
+    pause:           'pause',
+    playPause:       'play_pause',
+    stop:            'stop',
+    next:            'next',
+    previous:        'previous',
+    skipForward:     'skip_forward',
+    skipBackward:    'skip_backward',
+    volumeUp:        'volume_up',
+    volumeDown:      'volume_down',
+    channelUp:       'channel_up',
+    channelDown:     'channel_down',
 };
 
 /**
@@ -45,22 +60,88 @@ const NODE_KEY_MAP = {
     previous:  'Previous',
 };
 
+/**
+ * Swipe gestures for remote.swipe as [startX, startY, endX, endY] on pyatv's
+ * 1000x1000 touchpad (y grows downwards).
+ */
+const TOUCH_SWIPES = {
+    up:    [500, 800, 500, 200],
+    down:  [500, 200, 500, 800],
+    left:  [800, 500, 200, 500],
+    right: [200, 500, 800, 500],
+};
+const TOUCH_SWIPE_DURATION = 200;      // ms
+
 const DEFAULT_POLLING_INTERVAL = 10;   // seconds
 const DEFAULT_ARTWORK_INTERVAL = 30;   // seconds
+const DEFAULT_POSITION_INTERVAL = 1;   // seconds
+const DEFAULT_SKIP_FORWARD = 30;       // seconds
+const DEFAULT_SKIP_BACKWARD = 15;      // seconds
+const DEFAULT_UNMUTE_VOLUME = 30;      // percent, used when the level before muting is unknown
 const RECONNECT_BASE_DELAY = 5000;     // ms
 const RECONNECT_MAX_DELAY = 300000;    // 5 minutes in ms
 const MAX_RECONNECT_ATTEMPTS = 10;
 const ATVSCRIPT_TIMEOUT = 15000;       // ms
 const ATVSCRIPT_SCAN_TIMEOUT = 30000;  // ms
+const BRIDGE_CONNECT_TIMEOUT = 30000;  // ms
+const ANNOUNCEMENT_TIMEOUT = 120000;   // ms, max. clip length
+const ANNOUNCEMENT_RESUME_DELAY = 2000; // ms, time for the previous app to come back
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+const MDNS_BROWSE_TIMEOUT = 5000;      // ms
+const PYATV_MIN_VERSION = '0.14.5';    // oldest pyatv the bridge works with
+const PYATV_INSTALL_TIMEOUT = 300000;  // ms, venv creation / pip install
+const PYATV_VENV_DIR = 'pyatv-venv';   // below the instance data directory
+const PAIRING_SESSION_TIMEOUT = 180000; // ms, the Apple TV hides the PIN after a while
+
+/**
+ * Protocols that can be paired, in the order the pairing wizard walks through them.
+ */
+const PAIRING_PROTOCOLS = {
+    airplay:   'AirPlay',
+    companion: 'Companion',
+    mrp:       'MRP',
+};
+// Paired if the services of a device are unknown (tvOS 15+ defaults)
+const DEFAULT_PAIRING_PROTOCOLS = ['airplay', 'companion'];
+
+// Pairing credentials in native.devices. encryptedNative only covers top-level
+// keys, so these are encrypted with adapter.encrypt() before they are saved.
+const DEVICE_CREDENTIAL_FIELDS = ['airplayCredentials', 'companionCredentials', 'mrpCredentials'];
+// Streaming passwords: top-level native keys listed in encryptedNative (formerly in native.streaming)
+const STREAMING_PASSWORD_FIELDS = ['waipuPassword', 'zattooPassword', 'magentaTvPassword'];
+// Values produced by adapter.encrypt() (js-controller 4+) start with this
+const ENCRYPTED_VALUE_PREFIX = '$/aes-192-cbc:';
 
 module.exports = {
     PYATV_COMMAND_MAP,
     NODE_KEY_MAP,
+    TOUCH_SWIPES,
+    TOUCH_SWIPE_DURATION,
     DEFAULT_POLLING_INTERVAL,
     DEFAULT_ARTWORK_INTERVAL,
+    DEFAULT_POSITION_INTERVAL,
+    DEFAULT_SKIP_FORWARD,
+    DEFAULT_SKIP_BACKWARD,
+    DEFAULT_UNMUTE_VOLUME,
     RECONNECT_BASE_DELAY,
     RECONNECT_MAX_DELAY,
     MAX_RECONNECT_ATTEMPTS,
     ATVSCRIPT_TIMEOUT,
     ATVSCRIPT_SCAN_TIMEOUT,
+    BRIDGE_CONNECT_TIMEOUT,
+    ANNOUNCEMENT_TIMEOUT,
+    ANNOUNCEMENT_RESUME_DELAY,
+    MDNS_ADDRESS,
+    MDNS_PORT,
+    MDNS_BROWSE_TIMEOUT,
+    PYATV_MIN_VERSION,
+    PYATV_INSTALL_TIMEOUT,
+    PYATV_VENV_DIR,
+    PAIRING_SESSION_TIMEOUT,
+    PAIRING_PROTOCOLS,
+    DEFAULT_PAIRING_PROTOCOLS,
+    DEVICE_CREDENTIAL_FIELDS,
+    STREAMING_PASSWORD_FIELDS,
+    ENCRYPTED_VALUE_PREFIX,
 };
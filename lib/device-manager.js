@@ -1,12 +1,24 @@
 'use strict';
 
+const crypto = require('crypto');
 const { STATE_DEFINITIONS } = require('./state-definitions');
 const {
+    TOUCH_SWIPES,
+    TOUCH_SWIPE_DURATION,
     RECONNECT_BASE_DELAY,
     RECONNECT_MAX_DELAY,
     MAX_RECONNECT_ATTEMPTS,
+    DEFAULT_POSITION_INTERVAL,
+    DEFAULT_SKIP_FORWARD,
+    DEFAULT_SKIP_BACKWARD,
+    DEFAULT_UNMUTE_VOLUME,
+    ANNOUNCEMENT_TIMEOUT,
+    ANNOUNCEMENT_RESUME_DELAY,
 } = require('./constants');
 
+// remote.* buttons that are not sent as key commands via backend.sendCommand()
+const REMOTE_ACTION_BUTTONS = ['textClear', 'tap'];
+
 class DeviceManager {
     /**
      * @param {import('@iobroker/adapter-core').Adapter} adapter
@@ -20,20 +32,45 @@ class DeviceManager {
         this.deviceConfig = deviceConfig;
         this.backend = backend;
 
+        /** @type {Object<string, string>|null} pyatv FeatureName -> state, null = not known yet */
+        this.capabilities = null;
+        /** @type {Set<string>} state paths not created because their feature is unsupported */
+        this.skippedStates = new Set();
         this.pushHandle = null;
         this.pollTimer = null;
         this.reconnectTimer = null;
         this.artworkTimer = null;
+        this.positionTimer = null;
         this.connected = false;
         this.reconnectAttempts = 0;
+        this._reconnecting = false;
+        this.muted = false;
+        this.volumeBeforeMute = null;
+        this.announcing = false;
+        this._streamEndWaiter = null;
+
+        // Artwork cache: content key and hash of the currently published image,
+        // key of the item whose artwork was not available (left to the artwork timer)
+        this.lastPlaying = null;
+        this.positionUpdatedAt = 0;
+        this.artworkKey = null;
+        this.artworkHash = null;
+        this.artworkMissingKey = null;
+        this._artworkFetching = false;
     }
 
     /**
-     * Create the full ioBroker object tree for this device.
+     * Create the ioBroker object tree for this device.
+     * States whose feature the backend reports as unsupported are skipped (existing
+     * ones are only annotated). Without known capabilities the full tree is created.
      */
     async createStateTree() {
         const prefix = this.deviceId;
 
+        if (!this.capabilities) {
+            this.capabilities = await this._loadCapabilities();
+        }
+
         // Create device object
         await this.adapter.setObjectNotExistsAsync(prefix, {
             type: 'device',
@@ -66,13 +103,40 @@ class DeviceManager {
                 if (def.max !== undefined) common.max = def.max;
                 if (def.states) common.states = def.states;
 
+                const native = {};
+                if (def.feature) {
+                    native.feature = def.feature;
+                    native.featureState = this._getFeatureState(def.feature);
+                }
+
+                if (native.featureState === 'unsupported' || !this._supportsButton(channelName, stateName, def)) {
+                    this.skippedStates.add(channelName + '.' + stateName);
+                    const existing = await this.adapter.getObjectAsync(stateId);
+                    if (existing) {
+                        await this.adapter.extendObjectAsync(stateId, { native });
+                    }
+                    continue;
+                }
+
+                this.skippedStates.delete(channelName + '.' + stateName);
                 await this.adapter.setObjectNotExistsAsync(stateId, {
                     type: 'state',
                     common,
-                    native: {},
+                    native,
                 });
+                if (def.feature) {
+                    await this.adapter.extendObjectAsync(stateId, { native });
+                }
             }
         }
+
+        await this._setState('info.features', JSON.stringify(this.capabilities || {}));
+
+        // Keep the mute state and the level to restore across adapter restarts
+        const muteState = await this.adapter.getStateAsync(this.adapter.namespace + '.' + prefix + '.volume.mute');
+        this.muted = !!(muteState && muteState.val);
+        const muteObj = await this.adapter.getObjectAsync(prefix + '.volume.mute');
+        this.volumeBeforeMute = (muteObj && muteObj.native && muteObj.native.volumeBeforeMute) || null;
     }
 
     /**
@@ -83,16 +147,27 @@ class DeviceManager {
 
         await this._updateDeviceInfo();
 
+        // Device was unreachable when the tree was created: build it from capabilities now
+        if (!this.capabilities) {
+            this.capabilities = await this._loadCapabilities();
+            if (this.capabilities) {
+                await this.createStateTree();
+            }
+        }
+
         try {
             this.pushHandle = this.backend.startPushUpdates((event) => {
                 this._handlePushEvent(event);
             });
             this.connected = true;
-            this.reconnectAttempts = 0;
             await this._setState('info.connected', true);
             this.adapter.log.info('Push updates active for ' + (this.deviceConfig.name || this.deviceId));
 
             this._startArtworkPolling();
+
+            if (this._getFeatureState('AccountList') !== 'unsupported') {
+                this.refreshAccounts();
+            }
         } catch (err) {
             this.adapter.log.warn(
                 'Push updates failed for ' + (this.deviceConfig.name || this.deviceId) +
@@ -122,10 +197,56 @@ class DeviceManager {
             clearInterval(this.artworkTimer);
             this.artworkTimer = null;
         }
+        this._stopPositionInterpolation();
+        await this.backend.close();
         this.connected = false;
         await this._setState('info.connected', false);
     }
 
+    /**
+     * The device announced itself via mDNS. Updates info.lastSeen and, on an IP
+     * change, the address. Reconnects immediately if the connection is down or the
+     * address changed - also after the reconnect backoff has given up.
+     * @param {string} address - Current IP address from the announcement
+     * @returns {Promise<boolean>} true if the address changed
+     */
+    async handleDeviceSeen(address) {
+        await this._setState('info.lastSeen', Date.now());
+
+        const addressChanged = !!address && address !== this.deviceConfig.address;
+        if (addressChanged) {
+            this.adapter.log.info(
+                'IP address of ' + (this.deviceConfig.name || this.deviceId) + ' changed: ' +
+                (this.deviceConfig.address || '-') + ' -> ' + address
+            );
+            this.deviceConfig.address = address;
+            this.backend.deviceConfig.address = address;
+            await this._setState('info.address', address);
+        }
+
+        if ((addressChanged || !this.connected) && !this._reconnecting) {
+            if (!this.connected) {
+                this.adapter.log.info('Apple TV ' + (this.deviceConfig.name || this.deviceId) + ' is back online, reconnecting');
+            }
+            if (this.reconnectTimer) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+            }
+            this.reconnectAttempts = 0;
+            this._reconnect();
+        }
+        return addressChanged;
+    }
+
+    /**
+     * The device withdrew its mDNS services (goodbye packets). Disconnects and
+     * waits for the next announcement instead of retrying on a timer.
+     */
+    async handleDeviceGone() {
+        this.adapter.log.info('Apple TV ' + (this.deviceConfig.name || this.deviceId) + ' went offline');
+        await this.disconnect();
+    }
+
     /**
      * Handle a remote control command.
      */
@@ -134,6 +255,66 @@ class DeviceManager {
         await this.backend.sendCommand(command);
     }
 
+    /**
+     * Handle on-screen keyboard input (remote.text, remote.textAppend, remote.textClear).
+     */
+    async handleTextInput(stateName, text) {
+        switch (stateName) {
+            case 'text':
+                await this.backend.setText(String(text || ''));
+                await this._setState('remote.text', String(text || ''));
+                break;
+            case 'textAppend':
+                await this.backend.appendText(String(text || ''));
+                await this._setState('remote.textAppend', String(text || ''));
+                break;
+            case 'textClear':
+                await this.backend.clearText();
+                break;
+        }
+    }
+
+    /**
+     * Handle touch gestures (remote.swipe, remote.tap, remote.touch).
+     * remote.touch takes JSON: {"startX", "startY", "endX", "endY", "duration"} for a swipe
+     * or {"x", "y"} for a tap at a point, coordinates 0..1000.
+     */
+    async handleTouch(stateName, value) {
+        switch (stateName) {
+            case 'swipe': {
+                const coords = TOUCH_SWIPES[String(value || '').toLowerCase()];
+                if (!coords) {
+                    throw new Error('Invalid swipe direction "' + value + '", expected one of: ' + Object.keys(TOUCH_SWIPES).join(', '));
+                }
+                await this.backend.swipe(...coords, TOUCH_SWIPE_DURATION);
+                break;
+            }
+            case 'tap':
+                await this.backend.touchTap();
+                break;
+            case 'touch': {
+                let gesture;
+                try {
+                    gesture = JSON.parse(String(value));
+                } catch (err) {
+                    throw new Error('Invalid touch JSON: ' + err.message);
+                }
+                const isNum = (v) => typeof v === 'number' && v >= 0 && v <= 1000;
+                if (isNum(gesture.startX) && isNum(gesture.startY) && isNum(gesture.endX) && isNum(gesture.endY)) {
+                    await this.backend.swipe(
+                        gesture.startX, gesture.startY, gesture.endX, gesture.endY,
+                        Number(gesture.duration) || TOUCH_SWIPE_DURATION
+                    );
+                } else if (isNum(gesture.x) && isNum(gesture.y)) {
+                    await this.backend.touchTap(gesture.x, gesture.y);
+                } else {
+                    throw new Error('Touch JSON needs startX/startY/endX/endY or x/y in the range 0..1000');
+                }
+                break;
+            }
+        }
+    }
+
     /**
      * Handle power state change.
      */
@@ -150,6 +331,230 @@ class DeviceManager {
      */
     async handleSeek(positionSeconds) {
         await this.backend.seekTo(positionSeconds);
+        this._resetPosition(Number(positionSeconds) || 0);
+    }
+
+    /**
+     * Handle relative seek (playing.seekRelative, negative = backwards).
+     * The target is computed from the last known position and clamped to the duration,
+     * so it behaves the same on every backend.
+     */
+    async handleSeekRelative(offsetSeconds) {
+        const offset = Number(offsetSeconds) || 0;
+        if (!offset) return;
+
+        const { position, duration } = await this._getPositionInfo();
+        let target = Math.max(0, position + offset);
+        if (duration > 0) {
+            target = Math.min(target, duration);
+        }
+        target = Math.floor(target);
+
+        await this.backend.seekTo(target);
+        this._resetPosition(target);
+        await this._setState('playing.position', target);
+        await this._setState('playing.seekRelative', offset);
+    }
+
+    /**
+     * Handle playing.skipForward / playing.skipBackward with the configured intervals.
+     */
+    async handleSkip(forward) {
+        const config = this.adapter.config || {};
+        const interval = forward
+            ? (config.skipForwardInterval || DEFAULT_SKIP_FORWARD)
+            : (config.skipBackwardInterval || DEFAULT_SKIP_BACKWARD);
+        await this.handleSeekRelative(forward ? interval : -interval);
+    }
+
+    /**
+     * Handle URL casting (playing.playUrl / sendTo playUrl).
+     */
+    async handlePlayUrl(url) {
+        url = String(url || '').trim();
+        if (!url) return;
+        if (!/^https?:\/\//i.test(url)) {
+            throw new Error('Only http(s) URLs can be played: ' + url);
+        }
+        this.adapter.log.info('Playing URL on ' + (this.deviceConfig.name || this.deviceId) + ': ' + url);
+        await this.backend.playUrl(url);
+        await this._setState('playing.playUrl', url);
+    }
+
+    /**
+     * Handle RAOP audio streaming (audio.streamFile).
+     * @param {string} source - Local path or ioBroker file as iobroker://<adapter>/<path>
+     */
+    async handleStreamFile(source) {
+        source = String(source || '').trim();
+        if (!source) return;
+        this.adapter.log.info('Streaming audio to ' + (this.deviceConfig.name || this.deviceId) + ': ' + source);
+        const input = await this._resolveAudioSource(source);
+        await this.backend.streamFile(input);
+        await this._setState('audio.streamFile', source);
+    }
+
+    /**
+     * Play an announcement: pause current playback, play the clip at the given volume,
+     * then restore the volume and resume the previous app and position.
+     * @param {string} source - http(s) URL (AirPlay) or local path / iobroker://<adapter>/<path> (RAOP)
+     * @param {number} [volume] - Announcement volume 0..100, 0/empty keeps the current level
+     */
+    async handleAnnouncement(source, volume) {
+        source = String(source || '').trim();
+        if (!source) return;
+        if (this.announcing) {
+            throw new Error('Announcement already running on ' + (this.deviceConfig.name || this.deviceId));
+        }
+        this.announcing = true;
+        await this._setState('audio.announce', source);
+
+        let snapshot = null;
+        let paused = false;
+        let volumeChanged = false;
+        try {
+            snapshot = await this._getPlayingSnapshot();
+            this.adapter.log.info(
+                'Announcement on ' + (this.deviceConfig.name || this.deviceId) + ': ' + source +
+                (snapshot.deviceState === 'playing' ? ' (resuming ' + (snapshot.appId || 'playback') + ' afterwards)' : '')
+            );
+
+            if (snapshot.deviceState === 'playing') {
+                await this.backend.sendCommand('pause');
+                paused = true;
+            }
+            // Without a known level there is nothing to restore afterwards
+            if (volume > 0 && snapshot.volume !== null && volume !== snapshot.volume) {
+                await this.backend.setVolume(Math.min(100, volume));
+                volumeChanged = true;
+            }
+
+            const isUrl = /^https?:\/\//i.test(source);
+            const ended = this._waitForStreamEnd();
+            try {
+                if (isUrl) {
+                    await this.backend.playUrl(source);
+                    ended.expect(source);
+                } else {
+                    // Buffers are streamed from a temp file, its path identifies the stream
+                    ended.expect(await this.backend.streamFile(await this._resolveAudioSource(source)));
+                }
+                await ended.promise;
+            } finally {
+                ended.cancel();
+            }
+        } finally {
+            // Also after a failed clip, the device must not stay paused at the announcement volume
+            if (volumeChanged) {
+                await this.backend.setVolume(snapshot.volume).catch((err) => {
+                    this.adapter.log.warn('Failed to restore the volume after announcement: ' + err.message);
+                });
+            }
+            if (paused) {
+                await this._resumeSnapshot(snapshot);
+            }
+            this.announcing = false;
+            await this._setState('audio.announce', '');
+        }
+    }
+
+    /**
+     * Handle shuffle/repeat mode change (playing.shuffle, playing.repeat).
+     */
+    async handlePlaybackMode(stateName, mode) {
+        const allowed = STATE_DEFINITIONS.playing[stateName].states;
+        mode = String(mode || '').toLowerCase();
+        if (!(mode in allowed)) {
+            throw new Error('Invalid ' + stateName + ' mode "' + mode + '", expected one of: ' + Object.keys(allowed).join(', '));
+        }
+        if (stateName === 'shuffle') {
+            await this.backend.setShuffle(mode);
+        } else {
+            await this.backend.setRepeat(mode);
+        }
+        await this._setState('playing.' + stateName, mode);
+    }
+
+    /**
+     * Handle absolute volume change (volume.level).
+     */
+    async handleVolume(level) {
+        level = Math.max(0, Math.min(100, Number(level) || 0));
+        await this.backend.setVolume(level);
+        await this._setState('volume.level', level);
+        if (this.muted && level > 0) {
+            this.muted = false;
+            await this._setState('volume.mute', false);
+        }
+    }
+
+    /**
+     * Handle mute switch. Muting remembers the current level (also in the native
+     * of volume.mute for restarts), unmuting restores it.
+     */
+    async handleMute(mute) {
+        if (mute) {
+            if (this.muted) return;
+            const levelState = await this.adapter.getStateAsync(
+                this.adapter.namespace + '.' + this.deviceId + '.volume.level'
+            );
+            const level = levelState ? Number(levelState.val) : 0;
+            if (level > 0) {
+                this.volumeBeforeMute = level;
+                await this.adapter.extendObjectAsync(this.deviceId + '.volume.mute', { native: { volumeBeforeMute: level } });
+            }
+            await this.backend.setVolume(0);
+            this.muted = true;
+            await this._setState('volume.level', 0);
+            await this._setState('volume.mute', true);
+        } else {
+            if (!this.muted) return;
+            const level = this.volumeBeforeMute || DEFAULT_UNMUTE_VOLUME;
+            await this.backend.setVolume(level);
+            this.muted = false;
+            await this._setState('volume.level', level);
+            await this._setState('volume.mute', false);
+        }
+    }
+
+    /**
+     * Handle outputs.add / outputs.remove / outputs.set.
+     * @param {string} stateName
+     * @param {string} value - Comma-separated output device identifiers
+     */
+    async handleOutputs(stateName, value) {
+        const identifiers = String(value || '').split(',').map(s => s.trim()).filter(s => s);
+        if (identifiers.length === 0) return;
+
+        let devices;
+        switch (stateName) {
+            case 'add':
+                devices = await this.backend.addOutputDevices(identifiers);
+                break;
+            case 'remove':
+                devices = await this.backend.removeOutputDevices(identifiers);
+                break;
+            case 'set':
+                devices = await this.backend.setOutputDevices(identifiers);
+                break;
+            default:
+                return;
+        }
+        await this._updateOutputStates(devices);
+    }
+
+    /**
+     * Handle outputs.devices.{id}.volume.
+     */
+    async handleOutputVolume(outputFolderName, level) {
+        const obj = await this.adapter.getObjectAsync(this.deviceId + '.outputs.devices.' + outputFolderName);
+        const identifier = obj && obj.native && obj.native.identifier;
+        if (!identifier) {
+            throw new Error('Unknown output device: ' + outputFolderName);
+        }
+        level = Math.max(0, Math.min(100, Number(level) || 0));
+        const devices = await this.backend.setOutputVolume(identifier, level);
+        await this._updateOutputStates(devices);
     }
 
     /**
@@ -241,6 +646,40 @@ class DeviceManager {
         }
     }
 
+    /**
+     * Refresh accounts.list from the device.
+     * @returns {Promise<Array<{name: string, id: string}>>}
+     */
+    async refreshAccounts() {
+        try {
+            const accounts = await this.backend.getAccountList();
+            await this._setState('accounts.list', JSON.stringify(accounts));
+            return accounts;
+        } catch (err) {
+            this.adapter.log.debug('Failed to refresh account list: ' + err.message);
+            return [];
+        }
+    }
+
+    /**
+     * Handle accounts.switch (account ID or name).
+     * accounts.current reflects the last switch made through the adapter,
+     * pyatv does not report the active account.
+     */
+    async handleAccountSwitch(value) {
+        value = String(value || '').trim();
+        if (!value) return;
+        const accounts = await this.refreshAccounts();
+        const account = accounts.find(a => a.id === value) ||
+            accounts.find(a => a.name.toLowerCase() === value.toLowerCase());
+        if (!account) {
+            throw new Error('Unknown account: ' + value);
+        }
+        this.adapter.log.info('Switching account to ' + account.name + ' on ' + (this.deviceConfig.name || this.deviceId));
+        await this.backend.switchAccount(account.id);
+        await this._setState('accounts.current', account.name);
+    }
+
     /**
      * Handle launch button inside an app folder.
      */
@@ -299,7 +738,41 @@ class DeviceManager {
 
     // --- Private methods ---
 
+    async _loadCapabilities() {
+        try {
+            return await this.backend.getCapabilities();
+        } catch (err) {
+            this.adapter.log.debug('Feature query failed for ' + (this.deviceConfig.name || this.deviceId) + ': ' + err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Whether a remote.* button can be sent with the backend's sendCommand().
+     * Hold/double-tap buttons share their key's feature but not every backend can send them.
+     */
+    _supportsButton(channelName, stateName, def) {
+        if (channelName !== 'remote' || !def.role.startsWith('button') || REMOTE_ACTION_BUTTONS.includes(stateName)) {
+            return true;
+        }
+        return this.backend.supportsCommand(stateName);
+    }
+
+    /**
+     * State of a pyatv feature: 'available', 'unavailable', 'unsupported' or 'unknown'.
+     */
+    _getFeatureState(feature) {
+        if (!this.capabilities) return 'unknown';
+        return this.capabilities[feature] || 'unsupported';
+    }
+
     _handlePushEvent(event) {
+        // Push start-up errors arrive asynchronously, so the backoff is only
+        // reset once the device actually delivered data
+        if (event.type !== 'connection' && this.reconnectAttempts) {
+            this.reconnectAttempts = 0;
+        }
+
         switch (event.type) {
             case 'playing':
                 this._updatePlayingStates(event.data);
@@ -309,6 +782,30 @@ class DeviceManager {
                 break;
             case 'volume':
                 this._setState('volume.level', event.data.level);
+                if (this.muted && event.data.level > 0) {
+                    // Volume raised on the device itself
+                    this.muted = false;
+                    this._setState('volume.mute', false);
+                }
+                break;
+            case 'outputs':
+                this._updateOutputStates(event.data.devices).catch((err) => {
+                    this.adapter.log.debug('Failed to update output devices: ' + err.message);
+                });
+                break;
+            case 'keyboard':
+                this._setState('remote.keyboardFocused', event.data.focused);
+                break;
+            case 'playUrl':
+                this._handlePlayUrlEvent(event.data);
+                this._notifyStreamEnd(event.data);
+                break;
+            case 'streamFile':
+                this._notifyStreamEnd(event.data);
+                if (event.data.state === 'failed') {
+                    this.adapter.log.warn('Audio streaming failed on ' + (this.deviceConfig.name || this.deviceId) + ': ' + event.data.error);
+                }
+                this._setState('audio.streaming', event.data.state === 'loading');
                 break;
             case 'connection':
                 if (!event.data.connected) {
@@ -338,13 +835,268 @@ class DeviceManager {
             ['playing.duration', data.duration],
             ['playing.shuffle', data.shuffle],
             ['playing.repeat', data.repeat],
+            ['playing.seriesName', data.seriesName],
+            ['playing.seasonNumber', data.seasonNumber],
+            ['playing.episodeNumber', data.episodeNumber],
+            ['playing.contentId', data.contentId],
+            ['playing.itunesStoreId', data.itunesStoreId],
             ['apps.current', data.app],
             ['apps.currentId', data.appId],
         ];
+        // Only published if the backend reports it
+        if (typeof data.rate === 'number') {
+            updates.push(['playing.rate', data.rate]);
+        }
 
         for (const [path, value] of updates) {
             await this._setState(path, value);
         }
+        await this._setState('playing.progress', this._calcProgress(data.position, data.duration));
+
+        // Every update is a new interpolation base (covers seek, pause and new titles)
+        this.lastPlaying = data;
+        this.positionUpdatedAt = Date.now();
+        if (data.deviceState === 'playing') {
+            this._startPositionInterpolation();
+        } else {
+            this._stopPositionInterpolation();
+        }
+
+        this._refreshArtwork().catch((err) => {
+            this.adapter.log.debug('Artwork fetch failed: ' + err.message);
+        });
+    }
+
+    async _handlePlayUrlEvent(data) {
+        if (data.state === 'loading') {
+            await this._setState('playing.deviceState', 'loading');
+            return;
+        }
+        if (data.state === 'failed') {
+            this.adapter.log.warn('URL playback failed on ' + (this.deviceConfig.name || this.deviceId) + ': ' + data.error);
+        } else {
+            this.adapter.log.debug('URL playback ' + data.state + ': ' + data.url);
+        }
+        await this._setState('playing.playUrl', '');
+        await this._setState('playing.deviceState', 'idle');
+    }
+
+    /**
+     * Publish the current output devices in outputs.list and create one
+     * channel per output device (outputs.{name}) with a volume state.
+     */
+    async _updateOutputStates(devices) {
+        devices = devices || [];
+        await this._setState('outputs.list', JSON.stringify(devices));
+
+        // Keyed by identifier below outputs.devices, so names cannot collide with outputs.list/add/remove/set
+        const devicesPath = this.deviceId + '.outputs.devices';
+        await this.adapter.setObjectNotExistsAsync(devicesPath, {
+            type: 'channel',
+            common: { name: 'Output devices' },
+            native: {},
+        });
+
+        const current = new Set();
+        for (const dev of devices) {
+            const safeId = this._sanitizeAppName(String(dev.identifier || ''));
+            if (!safeId) continue;
+            current.add(safeId);
+            const folderPath = devicesPath + '.' + safeId;
+
+            await this.adapter.setObjectNotExistsAsync(folderPath, {
+                type: 'channel',
+                common: { name: dev.name || dev.identifier },
+                native: { identifier: dev.identifier },
+            });
+            await this.adapter.setObjectNotExistsAsync(folderPath + '.volume', {
+                type: 'state',
+                common: {
+                    name: 'Volume ' + (dev.name || dev.identifier),
+                    type: 'number',
+                    role: 'level.volume',
+                    read: true,
+                    write: true,
+                    def: 0,
+                    min: 0,
+                    max: 100,
+                },
+                native: { identifier: dev.identifier },
+            });
+            if (dev.volume !== null) {
+                await this._setState('outputs.devices.' + safeId + '.volume', dev.volume);
+            }
+        }
+
+        // Remove output devices that left the output set
+        const prefix = this.adapter.namespace + '.' + devicesPath + '.';
+        const channels = await this.adapter.getForeignObjectsAsync(prefix + '*', 'channel');
+        for (const id of Object.keys(channels || {})) {
+            const safeId = id.substring(prefix.length);
+            if (safeId.includes('.') || current.has(safeId)) continue;
+            await this.adapter.delObjectAsync(devicesPath + '.' + safeId + '.volume');
+            await this.adapter.delObjectAsync(devicesPath + '.' + safeId);
+        }
+    }
+
+    /**
+     * Last known position and duration: from the latest update, else from the states.
+     */
+    async _getPositionInfo() {
+        if (this.lastPlaying) {
+            return {
+                position: this._currentPosition(),
+                duration: Number(this.lastPlaying.duration) || 0,
+            };
+        }
+        const snapshot = await this._getPlayingSnapshot();
+        return { position: snapshot.position, duration: snapshot.duration };
+    }
+
+    /**
+     * Read the playing.* and volume.level states DeviceManager maintains.
+     */
+    async _getPlayingSnapshot() {
+        const read = async (statePath) => {
+            const state = await this.adapter.getStateAsync(this.adapter.namespace + '.' + this.deviceId + '.' + statePath);
+            return state ? state.val : null;
+        };
+        const volume = await read('volume.level');
+        return {
+            deviceState: await read('playing.deviceState'),
+            appId: await read('playing.appId'),
+            position: Number(await read('playing.position')) || 0,
+            duration: Number(await read('playing.duration')) || 0,
+            // null while the level is unknown
+            volume: volume === null ? null : Number(volume) || 0,
+        };
+    }
+
+    async _resumeSnapshot(snapshot) {
+        try {
+            const current = await this.backend.getPlaying();
+            if (snapshot.appId && current.appId !== snapshot.appId) {
+                await this.backend.launchApp(snapshot.appId);
+                await new Promise(resolve => setTimeout(resolve, ANNOUNCEMENT_RESUME_DELAY));
+            }
+            if (snapshot.position > 0) {
+                await this.backend.seekTo(snapshot.position);
+            }
+            await this.backend.sendCommand('play');
+        } catch (err) {
+            this.adapter.log.warn('Failed to resume playback after announcement: ' + err.message);
+        }
+    }
+
+    /**
+     * Wait for the playUrl/streamFile push event that ends our own stream, identified
+     * by its URL or path via expect(). Starting a stream cancels the previous one, whose
+     * "stopped" event must not end the wait. Ends that arrive before expect() is called
+     * are remembered. Without push updates this falls back to ANNOUNCEMENT_TIMEOUT.
+     * @returns {{promise: Promise<void>, expect: function(string): void, cancel: function}}
+     */
+    _waitForStreamEnd() {
+        let timer = null;
+        let done = null;
+        let expected;
+        const ended = [];
+        const promise = new Promise((resolve) => {
+            timer = setTimeout(resolve, ANNOUNCEMENT_TIMEOUT);
+            done = resolve;
+        });
+        this._streamEndWaiter = (key) => {
+            if (expected === undefined) {
+                ended.push(key);
+            } else if (!expected || key === expected) {
+                done();
+            }
+        };
+        return {
+            promise,
+            expect: (key) => {
+                // Backends that do not report the stream accept any end
+                expected = key || null;
+                if (ended.some(k => !expected || k === expected)) done();
+            },
+            cancel: () => {
+                clearTimeout(timer);
+                this._streamEndWaiter = null;
+            },
+        };
+    }
+
+    _notifyStreamEnd(data) {
+        if (data.state !== 'loading' && this._streamEndWaiter) {
+            this._streamEndWaiter(data.url || data.path || '');
+        }
+    }
+
+    /**
+     * Turn an iobroker://<adapter>/<path> reference into the file content,
+     * other sources are returned unchanged as local paths.
+     */
+    async _resolveAudioSource(source) {
+        const match = source.match(/^iobroker:\/\/([^/]+)\/(.+)$/);
+        if (!match) return source;
+        const result = await this.adapter.readFileAsync(match[1], match[2]);
+        if (!result || !result.file) {
+            throw new Error('ioBroker file not found: ' + source);
+        }
+        return Buffer.isBuffer(result.file) ? result.file : Buffer.from(result.file);
+    }
+
+    /**
+     * Position extrapolated from the last update using the playback rate.
+     */
+    _currentPosition() {
+        const playing = this.lastPlaying;
+        if (!playing) return 0;
+        const position = Number(playing.position) || 0;
+        if (playing.deviceState !== 'playing') return position;
+
+        const rate = playing.rate > 0 ? playing.rate : 1;
+        const elapsed = (Date.now() - this.positionUpdatedAt) / 1000 * rate;
+        const duration = Number(playing.duration) || 0;
+        return duration > 0 ? Math.min(position + elapsed, duration) : position + elapsed;
+    }
+
+    _resetPosition(position) {
+        if (!this.lastPlaying) return;
+        this.lastPlaying.position = position;
+        this.positionUpdatedAt = Date.now();
+    }
+
+    _calcProgress(position, duration) {
+        if (!(duration > 0)) return 0;
+        return Math.round(Math.min(100, Math.max(0, position / duration * 100)) * 10) / 10;
+    }
+
+    /**
+     * Write interpolated playing.position/progress while playing, so progress bars
+     * keep moving between push events or polls.
+     */
+    _startPositionInterpolation() {
+        if (this.positionTimer) return;
+        const config = this.adapter.config || {};
+        const seconds = config.positionInterval !== undefined ? Number(config.positionInterval) : DEFAULT_POSITION_INTERVAL;
+        if (!(seconds > 0)) return; // 0 disables interpolation
+
+        this.positionTimer = setInterval(async () => {
+            try {
+                const position = Math.round(this._currentPosition());
+                await this._setState('playing.position', position);
+                await this._setState('playing.progress', this._calcProgress(position, Number(this.lastPlaying.duration) || 0));
+            } catch (err) {
+                this.adapter.log.debug('Position update failed: ' + err.message);
+            }
+        }, seconds * 1000);
+    }
+
+    _stopPositionInterpolation() {
+        if (this.positionTimer) {
+            clearInterval(this.positionTimer);
+            this.positionTimer = null;
+        }
     }
 
     _startPolling() {
@@ -376,24 +1128,76 @@ class DeviceManager {
     _startArtworkPolling() {
         const artworkInterval = ((this.adapter.config && this.adapter.config.artworkInterval) || 30) * 1000;
 
-        this.artworkTimer = setInterval(async () => {
-            try {
-                const stateObj = await this.adapter.getStateAsync(
-                    this.adapter.namespace + '.' + this.deviceId + '.playing.deviceState'
-                );
-                if (!stateObj || stateObj.val === 'idle') return;
-
-                const artwork = await this.backend.getArtwork(300, -1);
-                if (artwork && artwork.data) {
-                    const base64 = 'data:' + artwork.mimetype + ';base64,' + artwork.data.toString('base64');
-                    await this._setState('playing.artworkBase64', base64);
-                } else {
+        // Artwork is fetched on now-playing changes; the timer only retries
+        // items whose artwork was not available yet
+        this.artworkTimer = setInterval(() => {
+            this._refreshArtwork(true).catch((err) => {
+                this.adapter.log.debug('Artwork fetch failed: ' + err.message);
+            });
+        }, artworkInterval);
+    }
+
+    /**
+     * Content key of the now-playing item's artwork: pyatv's artwork identifier
+     * or, if the backend has none, the item's metadata.
+     */
+    _artworkKey(playing) {
+        if (playing.artworkId) return 'id:' + playing.artworkId;
+        return [playing.appId, playing.title, playing.artist, playing.album].join('|');
+    }
+
+    /**
+     * Fetch artwork only if the now-playing item changed since the last successful fetch.
+     * Items without artwork are only retried by the artwork timer.
+     * @param {boolean} [retry] - called from the artwork timer
+     */
+    async _refreshArtwork(retry) {
+        const playing = this.lastPlaying;
+        if (!playing || playing.deviceState === 'idle' || this._artworkFetching) return;
+
+        const key = this._artworkKey(playing);
+        if (key === this.artworkKey) return;
+        if (key === this.artworkMissingKey && !retry) return;
+
+        this._artworkFetching = true;
+        // Stays set if the fetch fails or returns nothing
+        this.artworkMissingKey = key;
+        try {
+            const artwork = await this.backend.getArtwork(300, -1);
+            if (!artwork || !artwork.data) {
+                // The published image belongs to an earlier item, fetch it again when that item returns
+                this.artworkKey = null;
+                if (this.artworkHash) {
+                    this.artworkHash = null;
+                    await this._setState('playing.artworkUrl', '');
                     await this._setState('playing.artworkBase64', '');
                 }
-            } catch (err) {
-                this.adapter.log.debug('Artwork fetch failed: ' + err.message);
+                return;
             }
-        }, artworkInterval);
+
+            this.artworkKey = key;
+            this.artworkMissingKey = null;
+            const hash = crypto.createHash('sha1').update(artwork.data).digest('hex');
+            if (hash === this.artworkHash) return;
+            this.artworkHash = hash;
+            await this._publishArtwork(artwork, hash);
+        } finally {
+            this._artworkFetching = false;
+        }
+    }
+
+    /**
+     * Store artwork in the ioBroker file store and publish its URL and base64 data.
+     */
+    async _publishArtwork(artwork, hash) {
+        const ext = artwork.mimetype === 'image/jpeg' ? 'jpg' : 'png';
+        const fileName = this.deviceId + '/artwork.' + ext;
+        await this.adapter.writeFileAsync(this.adapter.namespace, fileName, artwork.data);
+
+        // Same path for every image, the query string only busts browser caches
+        await this._setState('playing.artworkUrl', '/' + this.adapter.namespace + '/' + fileName + '?' + hash.substring(0, 8));
+        const base64 = 'data:' + artwork.mimetype + ';base64,' + artwork.data.toString('base64');
+        await this._setState('playing.artworkBase64', base64);
     }
 
     _scheduleReconnect() {
@@ -416,18 +1220,26 @@ class DeviceManager {
             ' in ' + (delay / 1000) + 's (attempt ' + this.reconnectAttempts + ')'
         );
 
-        this.reconnectTimer = setTimeout(async () => {
+        this.reconnectTimer = setTimeout(() => {
             this.reconnectTimer = null;
-            try {
-                await this.disconnect();
-                await this.connect();
-            } catch (err) {
-                this.adapter.log.warn('Reconnect failed: ' + err.message);
-                this._scheduleReconnect();
-            }
+            this._reconnect();
         }, delay);
     }
 
+    async _reconnect() {
+        if (this._reconnecting) return;
+        this._reconnecting = true;
+        try {
+            await this.disconnect();
+            await this.connect();
+        } catch (err) {
+            this.adapter.log.warn('Reconnect failed: ' + err.message);
+            this._scheduleReconnect();
+        } finally {
+            this._reconnecting = false;
+        }
+    }
+
     async _updateDeviceInfo() {
         try {
             await this._setState('info.name', this.deviceConfig.name || '');
@@ -443,6 +1255,8 @@ class DeviceManager {
                 (this.deviceConfig.companionCredentials) ||
                 (this.deviceConfig.mrpCredentials)
             ));
+            await this._setState('info.pairedAirplay', !!this.deviceConfig.airplayCredentials);
+            await this._setState('info.pairedCompanion', !!this.deviceConfig.companionCredentials);
         } catch (err) {
             this.adapter.log.debug('Failed to update device info: ' + err.message);
         }
@@ -452,6 +1266,7 @@ class DeviceManager {
      * Set a state with ack=true under this device's namespace.
      */
     async _setState(statePath, value) {
+        if (this.skippedStates.has(statePath)) return;
         await this.adapter.setStateAsync(this.deviceId + '.' + statePath, value, true);
     }
 }
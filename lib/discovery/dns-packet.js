@@ -0,0 +1,262 @@
+'use strict';
+
+/**
+ * Minimal DNS message encoder/decoder for mDNS / DNS-SD (RFC 1035, RFC 6762).
+ * Supports the record types needed for service discovery: A, AAAA, PTR, SRV, TXT.
+ * No external dependencies needed.
+ */
+
+const TYPE = {
+    A: 1,
+    PTR: 12,
+    TXT: 16,
+    AAAA: 28,
+    SRV: 33,
+    ANY: 255,
+};
+
+const CLASS_IN = 1;
+const CACHE_FLUSH_BIT = 0x8000;      // record class: cache-flush (mDNS)
+const UNICAST_RESPONSE_BIT = 0x8000; // question class: QU question (mDNS)
+const FLAG_RESPONSE = 0x8400;        // QR + AA, as sent by mDNS responders
+
+// --- Decoding ---
+
+function decodeName(buf, offset) {
+    const labels = [];
+    let jumped = false;
+    let next = offset;
+    let hops = 0;
+
+    for (;;) {
+        if (offset >= buf.length) throw new Error('Name exceeds packet');
+        const len = buf[offset];
+        if (len === 0) {
+            offset++;
+            break;
+        }
+        if ((len & 0xc0) === 0xc0) {
+            // Compression pointer
+            if (++hops > 32) throw new Error('Too many compression pointers');
+            const pointer = buf.readUInt16BE(offset) & 0x3fff;
+            if (!jumped) next = offset + 2;
+            jumped = true;
+            offset = pointer;
+            continue;
+        }
+        offset++;
+        labels.push(buf.toString('utf8', offset, offset + len));
+        offset += len;
+    }
+
+    return { name: labels.join('.'), offset: jumped ? next : offset };
+}
+
+function decodeTxt(buf, start, end) {
+    const txt = {};
+    let offset = start;
+    while (offset < end) {
+        const len = buf[offset++];
+        const entry = buf.toString('utf8', offset, offset + len);
+        offset += len;
+        if (!entry) continue;
+        const eq = entry.indexOf('=');
+        if (eq === -1) {
+            txt[entry] = '';
+        } else {
+            txt[entry.substring(0, eq)] = entry.substring(eq + 1);
+        }
+    }
+    return txt;
+}
+
+function decodeAAAA(buf, offset) {
+    const parts = [];
+    for (let i = 0; i < 8; i++) {
+        parts.push(buf.readUInt16BE(offset + i * 2).toString(16));
+    }
+    return parts.join(':').replace(/(^|:)0(:0)+(:|$)/, '::');
+}
+
+function decodeRecord(buf, offset) {
+    const nameResult = decodeName(buf, offset);
+    offset = nameResult.offset;
+    const type = buf.readUInt16BE(offset);
+    const rclass = buf.readUInt16BE(offset + 2);
+    const ttl = buf.readUInt32BE(offset + 4);
+    const rdlength = buf.readUInt16BE(offset + 8);
+    offset += 10;
+    const end = offset + rdlength;
+    if (end > buf.length) throw new Error('Record data exceeds packet');
+
+    let data;
+    switch (type) {
+        case TYPE.A:
+            data = Array.from(buf.subarray(offset, offset + 4)).join('.');
+            break;
+        case TYPE.AAAA:
+            data = decodeAAAA(buf, offset);
+            break;
+        case TYPE.PTR:
+            data = decodeName(buf, offset).name;
+            break;
+        case TYPE.SRV:
+            data = {
+                priority: buf.readUInt16BE(offset),
+                weight: buf.readUInt16BE(offset + 2),
+                port: buf.readUInt16BE(offset + 4),
+                target: decodeName(buf, offset + 6).name,
+            };
+            break;
+        case TYPE.TXT:
+            data = decodeTxt(buf, offset, end);
+            break;
+        default:
+            data = buf.subarray(offset, end);
+    }
+
+    return {
+        record: {
+            name: nameResult.name,
+            type,
+            class: rclass & ~CACHE_FLUSH_BIT,
+            flush: !!(rclass & CACHE_FLUSH_BIT),
+            ttl,
+            data,
+        },
+        offset: end,
+    };
+}
+
+/**
+ * Decode a DNS message.
+ * @param {Buffer} buf
+ * @returns {{id: number, flags: number, questions: Array, answers: Array, authorities: Array, additionals: Array}}
+ */
+function decodePacket(buf) {
+    if (buf.length < 12) throw new Error('Packet too short');
+    const packet = {
+        id: buf.readUInt16BE(0),
+        flags: buf.readUInt16BE(2),
+        questions: [],
+        answers: [],
+        authorities: [],
+        additionals: [],
+    };
+    const counts = [buf.readUInt16BE(4), buf.readUInt16BE(6), buf.readUInt16BE(8), buf.readUInt16BE(10)];
+    let offset = 12;
+
+    for (let i = 0; i < counts[0]; i++) {
+        const nameResult = decodeName(buf, offset);
+        offset = nameResult.offset;
+        const qclass = buf.readUInt16BE(offset + 2);
+        packet.questions.push({
+            name: nameResult.name,
+            type: buf.readUInt16BE(offset),
+            class: qclass & ~UNICAST_RESPONSE_BIT,
+        });
+        offset += 4;
+    }
+
+    const sections = ['answers', 'authorities', 'additionals'];
+    for (let s = 0; s < sections.length; s++) {
+        for (let i = 0; i < counts[s + 1]; i++) {
+            const result = decodeRecord(buf, offset);
+            packet[sections[s]].push(result.record);
+            offset = result.offset;
+        }
+    }
+
+    return packet;
+}
+
+// --- Encoding ---
+
+function encodeName(name) {
+    const parts = [];
+    for (const label of name.split('.').filter(l => l)) {
+        const bytes = Buffer.from(label, 'utf8');
+        parts.push(Buffer.from([bytes.length]), bytes);
+    }
+    parts.push(Buffer.from([0]));
+    return Buffer.concat(parts);
+}
+
+function uint16(value) {
+    const buf = Buffer.alloc(2);
+    buf.writeUInt16BE(value);
+    return buf;
+}
+
+function encodeRecordData(type, data) {
+    switch (type) {
+        case TYPE.A:
+            return Buffer.from(data.split('.').map(Number));
+        case TYPE.AAAA: {
+            const [head, tail] = data.split('::');
+            const headParts = head ? head.split(':') : [];
+            const tailParts = tail !== undefined && tail ? tail.split(':') : [];
+            const fill = new Array(8 - headParts.length - tailParts.length).fill('0');
+            const groups = tail !== undefined ? [...headParts, ...fill, ...tailParts] : headParts;
+            return Buffer.concat(groups.map(g => uint16(parseInt(g, 16))));
+        }
+        case TYPE.PTR:
+            return encodeName(data);
+        case TYPE.SRV:
+            return Buffer.concat([
+                uint16(data.priority || 0),
+                uint16(data.weight || 0),
+                uint16(data.port),
+                encodeName(data.target),
+            ]);
+        case TYPE.TXT: {
+            const entries = Object.entries(data || {}).map(([key, value]) =>
+                Buffer.from(value === '' ? key : key + '=' + value, 'utf8'));
+            if (entries.length === 0) return Buffer.from([0]);
+            return Buffer.concat(entries.map(e => Buffer.concat([Buffer.from([e.length]), e])));
+        }
+        default:
+            return Buffer.isBuffer(data) ? data : Buffer.alloc(0);
+    }
+}
+
+function encodeRecord(record) {
+    const rdata = encodeRecordData(record.type, record.data);
+    const header = Buffer.alloc(10);
+    header.writeUInt16BE(record.type, 0);
+    header.writeUInt16BE((record.class || CLASS_IN) | (record.flush ? CACHE_FLUSH_BIT : 0), 2);
+    header.writeUInt32BE(record.ttl !== undefined ? record.ttl : 120, 4);
+    header.writeUInt16BE(rdata.length, 8);
+    return Buffer.concat([encodeName(record.name), header, rdata]);
+}
+
+/**
+ * Encode a DNS message.
+ * @param {object} packet - { id, flags, questions: [{name, type, unicast}], answers, authorities, additionals }
+ * @returns {Buffer}
+ */
+function encodePacket(packet) {
+    const questions = packet.questions || [];
+    const answers = packet.answers || [];
+    const authorities = packet.authorities || [];
+    const additionals = packet.additionals || [];
+
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(packet.id || 0, 0);
+    header.writeUInt16BE(packet.flags || 0, 2);
+    header.writeUInt16BE(questions.length, 4);
+    header.writeUInt16BE(answers.length, 6);
+    header.writeUInt16BE(authorities.length, 8);
+    header.writeUInt16BE(additionals.length, 10);
+
+    const parts = [header];
+    for (const q of questions) {
+        parts.push(encodeName(q.name), uint16(q.type), uint16(CLASS_IN | (q.unicast ? UNICAST_RESPONSE_BIT : 0)));
+    }
+    for (const record of [...answers, ...authorities, ...additionals]) {
+        parts.push(encodeRecord(record));
+    }
+    return Buffer.concat(parts);
+}
+
+module.exports = { TYPE, FLAG_RESPONSE, decodePacket, encodePacket };
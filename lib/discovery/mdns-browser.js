@@ -0,0 +1,327 @@
+'use strict';
+
+const dgram = require('dgram');
+const { TYPE, decodePacket, encodePacket } = require('./dns-packet');
+const { MDNS_ADDRESS, MDNS_PORT, MDNS_BROWSE_TIMEOUT } = require('../constants');
+
+/**
+ * DNS-SD service types advertised by Apple TVs / AirPlay receivers,
+ * mapped to the protocol names pyatv uses in its scan results.
+ * Ordered like pyatv's identifier priority: the first protocol's
+ * identifier becomes the device identifier.
+ */
+const SERVICE_TYPES = {
+    '_mediaremotetv._tcp.local':  'mrp',
+    '_airplay._tcp.local':        'airplay',
+    '_raop._tcp.local':           'raop',
+    '_companion-link._tcp.local': 'companion',
+};
+
+// Model identifiers -> readable names (subset of pyatv's lookup table)
+const MODEL_NAMES = {
+    'AppleTV2,1':         'Apple TV 2',
+    'AppleTV3,1':         'Apple TV 3',
+    'AppleTV3,2':         'Apple TV 3',
+    'AppleTV5,3':         'Apple TV HD',
+    'AppleTV6,2':         'Apple TV 4K',
+    'AppleTV11,1':        'Apple TV 4K (gen 2)',
+    'AppleTV14,1':        'Apple TV 4K (gen 3)',
+    'AudioAccessory1,1':  'HomePod',
+    'AudioAccessory1,2':  'HomePod',
+    'AudioAccessory5,1':  'HomePod Mini',
+    'AudioAccessory6,1':  'HomePod (gen 2)',
+};
+
+/**
+ * Collects DNS-SD records (PTR, SRV, TXT, A/AAAA) from mDNS packets and
+ * assembles them into device descriptions. Records with TTL 0 (goodbye
+ * packets) remove the corresponding entries, cache-flush address records
+ * replace the previously known addresses of the host.
+ */
+class ServiceCache {
+    constructor() {
+        /** @type {Map<string, Set<string>>} service type -> instance names */
+        this.ptr = new Map();
+        /** @type {Map<string, {port: number, target: string}>} instance -> SRV */
+        this.srv = new Map();
+        /** @type {Map<string, object>} instance -> TXT (lower-case keys) */
+        this.txt = new Map();
+        /** @type {Map<string, string[]>} host name -> addresses */
+        this.addresses = new Map();
+    }
+
+    /**
+     * Add all records of a decoded packet.
+     * @param {object} packet - result of decodePacket()
+     */
+    add(packet) {
+        for (const record of [...packet.answers, ...packet.additionals]) {
+            this.addRecord(record);
+        }
+    }
+
+    /**
+     * @param {{name: string, type: number, ttl: number, data: any}} record
+     */
+    addRecord(record) {
+        const name = record.name.toLowerCase();
+        const goodbye = record.ttl === 0;
+
+        switch (record.type) {
+            case TYPE.PTR: {
+                if (!SERVICE_TYPES[name]) return;
+                if (!this.ptr.has(name)) this.ptr.set(name, new Set());
+                if (goodbye) {
+                    this.ptr.get(name).delete(record.data);
+                } else {
+                    this.ptr.get(name).add(record.data);
+                }
+                break;
+            }
+            case TYPE.SRV:
+                if (goodbye) {
+                    this.srv.delete(record.name);
+                } else {
+                    this.srv.set(record.name, { port: record.data.port, target: record.data.target.toLowerCase() });
+                }
+                break;
+            case TYPE.TXT:
+                if (goodbye) {
+                    this.txt.delete(record.name);
+                } else {
+                    const txt = {};
+                    for (const [key, value] of Object.entries(record.data)) {
+                        txt[key.toLowerCase()] = value;
+                    }
+                    this.txt.set(record.name, txt);
+                }
+                break;
+            case TYPE.A:
+            case TYPE.AAAA: {
+                const ipv6 = record.type === TYPE.AAAA;
+                let list = (this.addresses.get(name) || []).filter(a => a !== record.data);
+                if (record.flush && !goodbye) list = list.filter(a => a.includes(':') !== ipv6);
+                if (!goodbye) list.unshift(record.data);
+                if (list.length) {
+                    this.addresses.set(name, list);
+                } else {
+                    this.addresses.delete(name);
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Questions for records that are still missing to resolve the known instances.
+     * @returns {Array<{name: string, type: number}>}
+     */
+    missingQuestions() {
+        const questions = [];
+        for (const instances of this.ptr.values()) {
+            for (const instance of instances) {
+                const srv = this.srv.get(instance);
+                if (!srv) questions.push({ name: instance, type: TYPE.SRV });
+                if (!this.txt.has(instance)) questions.push({ name: instance, type: TYPE.TXT });
+                if (srv && !this.addresses.has(srv.target)) questions.push({ name: srv.target, type: TYPE.A });
+            }
+        }
+        return questions;
+    }
+
+    /**
+     * Assemble devices from the collected records.
+     * @returns {Array<object>} Same shape as BaseBackend.scan() results
+     */
+    devices() {
+        return Array.from(this.devicesByHost().values());
+    }
+
+    /**
+     * Assemble devices keyed by host name. Services are grouped by the host
+     * they point to; instances without SRV record or address are skipped.
+     * @returns {Map<string, object>}
+     */
+    devicesByHost() {
+        /** @type {Map<string, object>} */
+        const hosts = new Map();
+
+        for (const [type, protocol] of Object.entries(SERVICE_TYPES)) {
+            for (const instance of this.ptr.get(type) || []) {
+                const srv = this.srv.get(instance);
+                if (!srv) continue;
+                const address = pickAddress(this.addresses.get(srv.target));
+                if (!address) continue;
+
+                let device = hosts.get(srv.target);
+                if (!device) {
+                    device = {
+                        name: '',
+                        address,
+                        identifier: '',
+                        allIdentifiers: [],
+                        mac: '',
+                        model: '',
+                        modelStr: '',
+                        os: '',
+                        osVersion: '',
+                        services: [],
+                    };
+                    hosts.set(srv.target, device);
+                }
+                device.services.push({ protocol, port: srv.port });
+
+                const instanceName = instance.substring(0, instance.length - type.length - 1);
+                applyServiceInfo(device, protocol, instanceName, this.txt.get(instance) || {});
+            }
+        }
+
+        for (const device of hosts.values()) {
+            device.identifier = device.allIdentifiers[0] || '';
+            device.modelStr = MODEL_NAMES[device.model] || device.model;
+            if (/^(AppleTV|AudioAccessory)/.test(device.model)) device.os = 'TvOS';
+        }
+        return hosts;
+    }
+}
+
+/**
+ * Merge the information of one service instance into a device.
+ * Fields already set by a higher-priority protocol are kept.
+ */
+function applyServiceInfo(device, protocol, instanceName, txt) {
+    const set = (field, value) => {
+        if (value && !device[field]) device[field] = value;
+    };
+    const addIdentifier = (id) => {
+        if (id && !device.allIdentifiers.includes(id)) device.allIdentifiers.push(id);
+    };
+
+    switch (protocol) {
+        case 'mrp':
+            addIdentifier(txt.uniqueidentifier);
+            set('name', txt.name || instanceName);
+            set('mac', txt.macaddress);
+            set('model', txt.modelname);
+            set('osVersion', txt.systembuildversion);
+            break;
+        case 'companion':
+            addIdentifier(txt.rpmrtid);
+            set('name', instanceName);
+            set('model', txt.rpmd);
+            break;
+        case 'airplay':
+            addIdentifier(txt.deviceid);
+            set('name', instanceName);
+            set('mac', txt.deviceid);
+            set('model', txt.model);
+            set('osVersion', txt.osvers);
+            break;
+        case 'raop': {
+            // Instance name is "<MAC without colons>@<device name>"
+            const at = instanceName.indexOf('@');
+            const macPart = at > 0 ? instanceName.substring(0, at) : '';
+            addIdentifier(macPart);
+            set('name', at > 0 ? instanceName.substring(at + 1) : instanceName);
+            if (/^[0-9A-Fa-f]{12}$/.test(macPart)) {
+                set('mac', macPart.toUpperCase().match(/.{2}/g).join(':'));
+            }
+            set('model', txt.am);
+            set('osVersion', txt.ov);
+            break;
+        }
+    }
+}
+
+function pickAddress(addresses) {
+    if (!addresses || addresses.length === 0) return '';
+    return addresses.find(a => !a.includes(':')) || addresses[0];
+}
+
+/**
+ * Active mDNS / DNS-SD browser for Apple TVs and AirPlay devices.
+ *
+ * Queries are sent from an ephemeral port, so responders answer with
+ * legacy unicast replies (RFC 6762, section 6.7) and no membership in the
+ * multicast group is needed. Address and port can be overridden to run
+ * against a local fake responder.
+ */
+class MdnsBrowser {
+    /**
+     * @param {object} log - ioBroker logger
+     * @param {object} [options]
+     * @param {string} [options.address] - Query destination (default: mDNS multicast group)
+     * @param {number} [options.port] - Query destination port (default: 5353)
+     */
+    constructor(log, options) {
+        options = options || {};
+        this.log = log;
+        this.address = options.address || MDNS_ADDRESS;
+        this.port = options.port || MDNS_PORT;
+    }
+
+    /**
+     * Browse the network for Apple TVs / AirPlay devices.
+     * PTR queries are sent immediately; halfway through the timeout missing
+     * SRV/TXT/A records are queried explicitly and the PTR queries repeated.
+     * @param {number} [timeout] - ms
+     * @returns {Promise<Array<{name: string, address: string, identifier: string, allIdentifiers: string[], mac: string, model: string, modelStr: string, os: string, osVersion: string, services: Array<{protocol: string, port: number}>}>>}
+     */
+    browse(timeout) {
+        timeout = timeout || MDNS_BROWSE_TIMEOUT;
+        const cache = new ServiceCache();
+        const browseQuestions = Object.keys(SERVICE_TYPES).map(name => ({ name, type: TYPE.PTR }));
+
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+            const timers = [];
+            let done = false;
+
+            const finish = (err) => {
+                if (done) return;
+                done = true;
+                timers.forEach(t => clearTimeout(t));
+                try {
+                    socket.close();
+                } catch (_err) {
+                    // Already closed
+                }
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(cache.devices());
+                }
+            };
+
+            const send = (questions) => {
+                if (done || questions.length === 0) return;
+                socket.send(encodePacket({ questions }), this.port, this.address, (err) => {
+                    if (err) this.log.debug('mDNS query failed: ' + err.message);
+                });
+            };
+
+            socket.on('message', (msg) => {
+                try {
+                    cache.add(decodePacket(msg));
+                } catch (err) {
+                    this.log.debug('Ignoring malformed mDNS packet: ' + err.message);
+                }
+            });
+
+            socket.on('error', (err) => finish(new Error('mDNS browse failed: ' + err.message)));
+
+            socket.bind(0, () => {
+                try {
+                    socket.setMulticastTTL(255);
+                } catch (_err) {
+                    // Not relevant for unicast destinations
+                }
+                send(browseQuestions);
+                timers.push(setTimeout(() => send([...browseQuestions, ...cache.missingQuestions()]), timeout / 2));
+                timers.push(setTimeout(() => finish(null), timeout));
+            });
+        });
+    }
+}
+
+module.exports = { MdnsBrowser, ServiceCache, SERVICE_TYPES };
@@ -0,0 +1,151 @@
+'use strict';
+
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+const { TYPE, decodePacket, encodePacket } = require('./dns-packet');
+const { ServiceCache, SERVICE_TYPES } = require('./mdns-browser');
+const { MDNS_ADDRESS, MDNS_PORT } = require('../constants');
+
+/**
+ * Passive mDNS listener. Joins the mDNS multicast group and follows the
+ * announcements of Apple TVs / AirPlay devices without polling.
+ *
+ * Events:
+ *   'announce' (device) - a device (re-)announced itself; same shape as scan results
+ *   'goodbye'  (device) - all services of a device were withdrawn (TTL 0 records)
+ */
+class MdnsListener extends EventEmitter {
+    /**
+     * @param {object} log - ioBroker logger
+     * @param {object} [options]
+     * @param {string} [options.address] - Multicast group (default: mDNS group)
+     * @param {number} [options.port] - Port to listen on (default: 5353)
+     */
+    constructor(log, options) {
+        super();
+        options = options || {};
+        this.log = log;
+        this.address = options.address || MDNS_ADDRESS;
+        this.port = options.port || MDNS_PORT;
+        this.cache = new ServiceCache();
+        this._socket = null;
+    }
+
+    /**
+     * Bind to the mDNS port, join the multicast group and ask all devices
+     * to announce themselves once.
+     * @returns {Promise<void>}
+     */
+    start() {
+        if (this._socket) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+            let bound = false;
+
+            socket.on('message', (msg) => this._onMessage(msg));
+
+            socket.on('error', (err) => {
+                if (!bound) {
+                    socket.close();
+                    reject(new Error('mDNS listener failed: ' + err.message));
+                    return;
+                }
+                this.log.debug('mDNS listener error: ' + err.message);
+            });
+
+            socket.bind(this.port, () => {
+                bound = true;
+                try {
+                    socket.addMembership(this.address);
+                    socket.setMulticastTTL(255);
+                } catch (err) {
+                    socket.close();
+                    reject(new Error('mDNS listener could not join ' + this.address + ': ' + err.message));
+                    return;
+                }
+                this._socket = socket;
+
+                // Responses to this query are multicast and arrive through _onMessage
+                const questions = Object.keys(SERVICE_TYPES).map(name => ({ name, type: TYPE.PTR }));
+                socket.send(encodePacket({ questions }), this.port, this.address, (err) => {
+                    if (err) this.log.debug('mDNS query failed: ' + err.message);
+                });
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Leave the multicast group and close the socket.
+     */
+    stop() {
+        const socket = this._socket;
+        if (!socket) return;
+        this._socket = null;
+        try {
+            socket.close();
+        } catch (_err) {
+            // Already closed
+        }
+    }
+
+    _onMessage(msg) {
+        let packet;
+        try {
+            packet = decodePacket(msg);
+        } catch (err) {
+            this.log.debug('Ignoring malformed mDNS packet: ' + err.message);
+            return;
+        }
+        if (!(packet.flags & 0x8000)) return; // queries
+
+        const records = [...packet.answers, ...packet.additionals];
+        const before = this.cache.devicesByHost();
+        const hosts = this._affectedHosts(records);
+        this.cache.add(packet);
+        for (const host of this._affectedHosts(records)) hosts.add(host);
+        const after = this.cache.devicesByHost();
+
+        const announcing = records.some(r => r.ttl > 0);
+        for (const host of hosts) {
+            if (after.has(host)) {
+                if (announcing) this.emit('announce', after.get(host));
+            } else if (before.has(host)) {
+                this.emit('goodbye', before.get(host));
+            }
+        }
+    }
+
+    /**
+     * Host names the given records belong to, as far as the cache can tell.
+     * @returns {Set<string>}
+     */
+    _affectedHosts(records) {
+        const hosts = new Set();
+        for (const record of records) {
+            let instance = null;
+            switch (record.type) {
+                case TYPE.A:
+                case TYPE.AAAA:
+                    hosts.add(record.name.toLowerCase());
+                    break;
+                case TYPE.SRV:
+                    hosts.add(record.data.target.toLowerCase());
+                    instance = record.name;
+                    break;
+                case TYPE.TXT:
+                    instance = record.name;
+                    break;
+                case TYPE.PTR:
+                    instance = record.data;
+                    break;
+            }
+            const srv = instance && this.cache.srv.get(instance);
+            if (srv) hosts.add(srv.target);
+        }
+        return hosts;
+    }
+}
+
+module.exports = { MdnsListener };
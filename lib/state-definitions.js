@@ -2,50 +2,81 @@
 
 /**
  * Central source of truth for the complete ioBroker state tree.
- * Each device gets this full tree created under its device ID.
+ * Each device gets this tree created under its device ID.
  *
  * Structure: { channelName: { stateName: { type, role, read, write, def, ... } } }
+ *
+ * `feature` names the pyatv feature (FeatureName) a state depends on. States whose
+ * feature the backend reports as unsupported are not created. PlaybackRate is no
+ * pyatv feature: only backends that know the rate report it.
  */
 const STATE_DEFINITIONS = {
     info: {
-        name:       { type: 'string',  role: 'info.name',             read: true, write: false, def: '' },
-        model:      { type: 'string',  role: 'info.hardware',         read: true, write: false, def: '' },
-        modelId:    { type: 'string',  role: 'value',                 read: true, write: false, def: '' },
-        os:         { type: 'string',  role: 'value',                 read: true, write: false, def: '' },
-        osVersion:  { type: 'string',  role: 'info.firmware',         read: true, write: false, def: '' },
-        mac:        { type: 'string',  role: 'info.mac',              read: true, write: false, def: '' },
-        address:    { type: 'string',  role: 'info.ip',               read: true, write: false, def: '' },
-        identifier: { type: 'string',  role: 'value',                 read: true, write: false, def: '' },
-        connected:  { type: 'boolean', role: 'indicator.reachable',   read: true, write: false, def: false },
-        paired:     { type: 'boolean', role: 'indicator',             read: true, write: false, def: false },
+        name:            { type: 'string',  role: 'info.name',           read: true, write: false, def: '' },
+        model:           { type: 'string',  role: 'info.hardware',       read: true, write: false, def: '' },
+        modelId:         { type: 'string',  role: 'value',               read: true, write: false, def: '' },
+        os:              { type: 'string',  role: 'value',               read: true, write: false, def: '' },
+        osVersion:       { type: 'string',  role: 'info.firmware',       read: true, write: false, def: '' },
+        mac:             { type: 'string',  role: 'info.mac',            read: true, write: false, def: '' },
+        address:         { type: 'string',  role: 'info.ip',             read: true, write: false, def: '' },
+        identifier:      { type: 'string',  role: 'value',               read: true, write: false, def: '' },
+        connected:       { type: 'boolean', role: 'indicator.reachable', read: true, write: false, def: false },
+        lastSeen:        { type: 'number',  role: 'date',                read: true, write: false, def: 0 },
+        paired:          { type: 'boolean', role: 'indicator',           read: true, write: false, def: false },
+        pairedAirplay:   { type: 'boolean', role: 'indicator',           read: true, write: false, def: false },
+        pairedCompanion: { type: 'boolean', role: 'indicator',           read: true, write: false, def: false },
+        features:        { type: 'string',  role: 'json',                read: true, write: false, def: '{}' },
     },
 
     power: {
-        state: { type: 'boolean', role: 'switch.power', read: true, write: true, def: false },
+        state: { type: 'boolean', role: 'switch.power', read: true, write: true, def: false, feature: 'PowerState' },
     },
 
     remote: {
-        up:           { type: 'boolean', role: 'button',             read: false, write: true, def: false },
-        down:         { type: 'boolean', role: 'button',             read: false, write: true, def: false },
-        left:         { type: 'boolean', role: 'button',             read: false, write: true, def: false },
-        right:        { type: 'boolean', role: 'button',             read: false, write: true, def: false },
-        select:       { type: 'boolean', role: 'button',             read: false, write: true, def: false },
-        menu:         { type: 'boolean', role: 'button',             read: false, write: true, def: false },
-        home:         { type: 'boolean', role: 'button',             read: false, write: true, def: false },
-        homeHold:     { type: 'boolean', role: 'button',             read: false, write: true, def: false },
-        topMenu:      { type: 'boolean', role: 'button',             read: false, write: true, def: false },
-        play:         { type: 'boolean', role: 'button.play',        read: false, write: true, def: false },
-        pause:        { type: 'boolean', role: 'button.pause',       read: false, write: true, def: false },
-        playPause:    { type: 'boolean', role: 'button.play.pause',  read: false, write: true, def: false },
-        stop:         { type: 'boolean', role: 'button.stop',        read: false, write: true, def: false },
-        next:         { type: 'boolean', role: 'button.next',        read: false, write: true, def: false },
-        previous:     { type: 'boolean', role: 'button.prev',        read: false, write: true, def: false },
-        skipForward:  { type: 'boolean', role: 'button',             read: false, write: true, def: false },
-        skipBackward: { type: 'boolean', role: 'button',             read: false, write: true, def: false },
-        volumeUp:     { type: 'boolean', role: 'button.volume.up',   read: false, write: true, def: false },
-        volumeDown:   { type: 'boolean', role: 'button.volume.down', read: false, write: true, def: false },
-        channelUp:    { type: 'boolean', role: 'button',             read: false, write: true, def: false },
-        channelDown:  { type: 'boolean', role: 'button',             read: false, write: true, def: false },
+        up:              { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Up' },
+        upHold:          { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Up' },
+        upDoubleTap:     { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Up' },
+        down:            { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Down' },
+        downHold:        { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Down' },
+        downDoubleTap:   { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Down' },
+        left:            { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Left' },
+        leftHold:        { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Left' },
+        leftDoubleTap:   { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Left' },
+        right:           { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Right' },
+        rightHold:       { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Right' },
+        rightDoubleTap:  { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Right' },
+        select:          { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Select' },
+        selectHold:      { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Select' },
+        selectDoubleTap: { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Select' },
+        menu:            { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Menu' },
+        menuHold:        { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Menu' },
+        menuDoubleTap:   { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Menu' },
+        home:            { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Home' },
+        homeHold:        { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'HomeHold' },
+        homeDoubleTap:   { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Home' },
+        topMenu:         { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'TopMenu' },
+        play:            { type: 'boolean', role: 'button.play',        read: false, write: true, def: false, feature: 'Play' },
+        pause:           { type: 'boolean', role: 'button.pause',       read: false, write: true, def: false, feature: 'Pause' },
+        playPause:       { type: 'boolean', role: 'button.play.pause',  read: false, write: true, def: false, feature: 'PlayPause' },
+        stop:            { type: 'boolean', role: 'button.stop',        read: false, write: true, def: false, feature: 'Stop' },
+        next:            { type: 'boolean', role: 'button.next',        read: false, write: true, def: false, feature: 'Next' },
+        previous:        { type: 'boolean', role: 'button.prev',        read: false, write: true, def: false, feature: 'Previous' },
+        skipForward:     { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'SkipForward' },
+        skipBackward:    { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'SkipBackward' },
+        volumeUp:        { type: 'boolean', role: 'button.volume.up',   read: false, write: true, def: false, feature: 'VolumeUp' },
+        volumeDown:      { type: 'boolean', role: 'button.volume.down', read: false, write: true, def: false, feature: 'VolumeDown' },
+        channelUp:       { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'ChannelUp' },
+        channelDown:     { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'ChannelDown' },
+        text:            { type: 'string',  role: 'text',               read: true,  write: true, def: '', feature: 'TextSet' },
+        textAppend:      { type: 'string',  role: 'text',               read: true,  write: true, def: '', feature: 'TextAppend' },
+        textClear:       { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'TextClear' },
+        keyboardFocused: { type: 'boolean', role: 'indicator',          read: true,  write: false, def: false, feature: 'TextFocusState' },
+        swipe: {
+            type: 'string', role: 'value', read: false, write: true, def: '',
+            states: { up: 'Up', down: 'Down', left: 'Left', right: 'Right' }, feature: 'Swipe',
+        },
+        tap:             { type: 'boolean', role: 'button',             read: false, write: true, def: false, feature: 'Click' },
+        touch:           { type: 'string',  role: 'json',               read: false, write: true, def: '', feature: 'Swipe' },
     },
 
     playing: {
@@ -65,27 +96,59 @@ const STATE_DEFINITIONS = {
         appId:       { type: 'string',  role: 'value',           read: true, write: false, def: '' },
         position:    { type: 'number',  role: 'media.elapsed',   read: true, write: true,  def: 0, unit: 's' },
         duration:    { type: 'number',  role: 'media.duration',  read: true, write: false, def: 0, unit: 's' },
+        progress:    { type: 'number',  role: 'value',           read: true, write: false, def: 0, unit: '%', min: 0, max: 100 },
+        seekRelative: { type: 'number',  role: 'value',          read: true, write: true,  def: 0, unit: 's', feature: 'SetPosition' },
+        skipForward:  { type: 'boolean', role: 'button.forward', read: false, write: true, def: false, feature: 'SetPosition' },
+        skipBackward: { type: 'boolean', role: 'button.reverse', read: false, write: true, def: false, feature: 'SetPosition' },
         shuffle: {
-            type: 'string', role: 'value', read: true, write: false, def: 'off',
-            states: { off: 'Off', songs: 'Songs', albums: 'Albums' },
+            type: 'string', role: 'value', read: true, write: true, def: 'off',
+            states: { off: 'Off', songs: 'Songs', albums: 'Albums' }, feature: 'SetShuffle',
         },
         repeat: {
-            type: 'string', role: 'value', read: true, write: false, def: 'off',
-            states: { off: 'Off', track: 'Track', all: 'All' },
+            type: 'string', role: 'value', read: true, write: true, def: 'off',
+            states: { off: 'Off', track: 'Track', all: 'All' }, feature: 'SetRepeat',
         },
-        artworkUrl:    { type: 'string', role: 'media.cover',        read: true, write: false, def: '' },
-        artworkBase64: { type: 'string', role: 'media.cover.base64', read: true, write: false, def: '' },
+        seriesName:    { type: 'string', role: 'media.title',        read: true, write: false, def: '', feature: 'SeriesName' },
+        seasonNumber:  { type: 'number', role: 'media.season',       read: true, write: false, def: 0,  feature: 'SeasonNumber' },
+        episodeNumber: { type: 'number', role: 'media.episode',      read: true, write: false, def: 0,  feature: 'EpisodeNumber' },
+        contentId:     { type: 'string', role: 'value',              read: true, write: false, def: '', feature: 'ContentIdentifier' },
+        itunesStoreId: { type: 'string', role: 'value',              read: true, write: false, def: '', feature: 'iTunesStoreIdentifier' },
+        rate:          { type: 'number', role: 'value',              read: true, write: false, def: 0,  feature: 'PlaybackRate' },
+        playUrl:       { type: 'string', role: 'media.url',          read: true, write: true,  def: '', feature: 'PlayUrl' },
+        artworkUrl:    { type: 'string', role: 'media.cover',        read: true, write: false, def: '', feature: 'Artwork' },
+        artworkBase64: { type: 'string', role: 'media.cover.base64', read: true, write: false, def: '', feature: 'Artwork' },
     },
 
     apps: {
-        list:      { type: 'string', role: 'json',  read: true,  write: false, def: '[]' },
-        launch:    { type: 'string', role: 'value', read: false, write: true,  def: '' },
+        list:      { type: 'string', role: 'json',  read: true,  write: false, def: '[]', feature: 'AppList' },
+        launch:    { type: 'string', role: 'value', read: false, write: true,  def: '', feature: 'LaunchApp' },
         current:   { type: 'string', role: 'value', read: true,  write: false, def: '' },
         currentId: { type: 'string', role: 'value', read: true,  write: false, def: '' },
     },
 
+    accounts: {
+        list:    { type: 'string', role: 'json',  read: true,  write: false, def: '[]', feature: 'AccountList' },
+        current: { type: 'string', role: 'value', read: true,  write: false, def: '',   feature: 'SwitchAccount' },
+        switch:  { type: 'string', role: 'value', read: false, write: true,  def: '',   feature: 'SwitchAccount' },
+    },
+
     volume: {
-        level: { type: 'number', role: 'level.volume', read: true, write: false, def: 0, min: 0, max: 100 },
+        level: { type: 'number',  role: 'level.volume', read: true, write: true, def: 0, min: 0, max: 100, feature: 'SetVolume' },
+        mute:  { type: 'boolean', role: 'media.mute',   read: true, write: true, def: false, feature: 'SetVolume' },
+    },
+
+    outputs: {
+        list:   { type: 'string', role: 'json',  read: true,  write: false, def: '[]', feature: 'OutputDevices' },
+        add:    { type: 'string', role: 'value', read: false, write: true,  def: '',   feature: 'AddOutputDevices' },
+        remove: { type: 'string', role: 'value', read: false, write: true,  def: '',   feature: 'RemoveOutputDevices' },
+        set:    { type: 'string', role: 'value', read: false, write: true,  def: '',   feature: 'SetOutputDevices' },
+    },
+
+    audio: {
+        streamFile: { type: 'string',  role: 'text',              read: true, write: true,  def: '', feature: 'StreamFile' },
+        streaming:  { type: 'boolean', role: 'indicator.working', read: true, write: false, def: false, feature: 'StreamFile' },
+        announce:       { type: 'string', role: 'text',         read: true, write: true, def: '', feature: 'StreamFile' },
+        announceVolume: { type: 'number', role: 'level.volume', read: true, write: true, def: 0, min: 0, max: 100, feature: 'StreamFile' },
     },
 };
 
@@ -35,6 +35,7 @@ class StreamingManager {
 
     /**
      * Initialize providers based on adapter config.
+     * Passwords are top-level config keys (encryptedNative), the rest is in config.streaming.
      * @param {object} config - adapter config (this.config)
      */
     init(config) {
@@ -42,19 +43,19 @@ class StreamingManager {
         const streaming = config.streaming || {};
 
         // waipu.tv - requires credentials
-        if (streaming.waipuEnabled && streaming.waipuUsername && streaming.waipuPassword) {
+        if (streaming.waipuEnabled && streaming.waipuUsername && config.waipuPassword) {
             this.providers.push(new WaipuProvider({
                 username: streaming.waipuUsername,
-                password: streaming.waipuPassword,
+                password: config.waipuPassword,
             }, this.log));
             this.log.info('Streaming provider registered: waipu.tv');
         }
 
         // Zattoo - requires credentials
-        if (streaming.zattooEnabled && streaming.zattooUsername && streaming.zattooPassword) {
+        if (streaming.zattooEnabled && streaming.zattooUsername && config.zattooPassword) {
             this.providers.push(new ZattooProvider({
                 username: streaming.zattooUsername,
-                password: streaming.zattooPassword,
+                password: config.zattooPassword,
             }, this.log));
             this.log.info('Streaming provider registered: Zattoo');
         }
@@ -69,7 +70,7 @@ class StreamingManager {
         if (streaming.magentaTvEnabled) {
             this.providers.push(new MagentaTvProvider({
                 username: streaming.magentaTvUsername || '',
-                password: streaming.magentaTvPassword || '',
+                password: config.magentaTvPassword || '',
             }, this.log));
             this.log.info('Streaming provider registered: MagentaTV');
         }
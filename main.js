@@ -2,9 +2,16 @@
 
 const utils = require('@iobroker/adapter-core');
 const { execFile } = require('child_process');
+const path = require('path');
 const { BackendFactory } = require('./lib/backend/backend-factory');
 const { PyatvBackend } = require('./lib/backend/pyatv');
 const { DeviceManager } = require('./lib/device-manager');
+const { MdnsBrowser } = require('./lib/discovery/mdns-browser');
+const { MdnsListener } = require('./lib/discovery/mdns-listener');
+const {
+    PYATV_MIN_VERSION, PYATV_VENV_DIR, PAIRING_PROTOCOLS, DEFAULT_PAIRING_PROTOCOLS, PAIRING_SESSION_TIMEOUT,
+    DEVICE_CREDENTIAL_FIELDS, STREAMING_PASSWORD_FIELDS, ENCRYPTED_VALUE_PREFIX,
+} = require('./lib/constants');
 const { StreamingManager } = require('./lib/streaming/streaming-manager');
 
 class AppleTvAdapter extends utils.Adapter {
@@ -13,14 +20,22 @@ class AppleTvAdapter extends utils.Adapter {
 
         /** @type {Map<string, DeviceManager>} */
         this.devices = new Map();
-        this.backendFactory = null;
+        /** @type {Map<string, BackendFactory>} */
+        this.backendFactories = new Map();
+        this.pyatvAvailable = false;
         this.autoScanTimer = null;
+        this.mdnsListener = null;
         this.streamingManager = null;
 
-        // Active pairing backends per device identifier (for multi-step pairing)
-        /** @type {Map<string, import('./lib/backend/pyatv').PyatvBackend>} */
+        // Active pairing sessions per device identifier (for multi-step pairing)
+        /** @type {Map<string, {identifier: string, backend: import('./lib/backend/base').BaseBackend, protocols: string[],
+         *   step: number, paired: string[], credentials: object, timer: NodeJS.Timeout|null}>} */
         this._pairingSessions = new Map();
 
+        // Protocols of the services each device announced, by identifier (used to plan pairing)
+        /** @type {Map<string, string[]>} */
+        this.knownServices = new Map();
+
         this.on('ready', this.onReady.bind(this));
         this.on('stateChange', this.onStateChange.bind(this));
         this.on('message', this.onMessage.bind(this));
@@ -32,28 +47,29 @@ class AppleTvAdapter extends utils.Adapter {
     // ──────────────────────────────────────────────
 
     async onReady() {
-        const backendType = this.config.backend || 'pyatv';
-
-        // Step 1: Auto-install pyatv if needed
-        if (backendType === 'pyatv') {
-            let available = await PyatvBackend.checkInstalled();
-            if (!available) {
-                this.log.warn('pyatv not found - attempting automatic installation...');
-                const installed = await PyatvBackend.installPyatv(this.log);
-                if (installed) {
-                    available = await PyatvBackend.checkInstalled();
-                }
-                if (!available) {
-                    this.log.error('pyatv could not be installed automatically. Please install manually: pip3 install pyatv');
+        // Credentials are stored encrypted: decrypt them for runtime use, encrypt plain-text ones of older versions
+        await this._migrateCredentials();
+
+        // Step 1: Auto-install pyatv into the adapter's venv if any device needs it
+        this._setPyatvVenv();
+        if (this._needsPyatv()) {
+            this.pyatvAvailable = await this._ensurePyatv();
+            if (!this.pyatvAvailable) {
+                const configuredDevices = this.config.devices || [];
+                if (!configuredDevices.some(d => this._backendTypeFor(d) !== 'pyatv')) {
                     this.setState('info.connection', false, true);
                     return;
                 }
+                this.log.warn('Continuing without pyatv - only devices with another backend are started');
             }
-            this.log.info('pyatv backend available');
         }
 
-        // Step 2: Create backend factory
-        this.backendFactory = new BackendFactory(backendType, this.log);
+        // Step 2: File store for artwork images (served as /apple-tv.X/<device>/artwork.png)
+        await this.setForeignObjectNotExistsAsync(this.namespace, {
+            type: 'meta',
+            common: { name: 'Apple TV files', type: 'meta.user' },
+            native: {},
+        });
 
         // Step 3: Auto-discovery - scan the network for Apple TVs
         const autoDiscovery = this.config.autoDiscovery !== false; // default: on
@@ -110,7 +126,10 @@ class AppleTvAdapter extends utils.Adapter {
             }, scanInterval);
         }
 
-        // Step 9: Schedule periodic streaming channel refresh
+        // Step 9: Follow mDNS announcements to reconnect devices as soon as they are back
+        await this._startMdnsListener();
+
+        // Step 10: Schedule periodic streaming channel refresh
         const streaming = this.config.streaming || {};
         const channelRefresh = (streaming.channelRefreshInterval || 3600) * 1000;
         if (this.streamingManager.providers.length > 0) {
@@ -126,6 +145,37 @@ class AppleTvAdapter extends utils.Adapter {
         }
     }
 
+    /**
+     * Scan the network for Apple TVs. Uses the built-in mDNS browser unless
+     * the backend scan is configured or explicit scan hosts are set
+     * (unicast scanning of IPs/subnets needs atvscript). The simulator
+     * backend always reports its simulated devices.
+     * @param {BackendFactory} factory
+     * @returns {Promise<Array<object>>}
+     */
+    async _scanNetwork(factory) {
+        const scanHosts = this.config.scanHosts || '';
+        let devices;
+        if (factory.backendType !== 'mock' && (this.config.discoveryMethod || 'mdns') === 'mdns' && !scanHosts) {
+            devices = await new MdnsBrowser(this.log).browse();
+        } else {
+            devices = await factory.create({}).scan(scanHosts);
+        }
+        devices.forEach(found => this._rememberServices(found));
+        return devices;
+    }
+
+    /**
+     * Keep the announced services of a scanned device for planning its pairing.
+     */
+    _rememberServices(found) {
+        if (!found.services || found.services.length === 0) return;
+        const protocols = found.services.map(s => s.protocol);
+        for (const id of [found.identifier, ...(found.allIdentifiers || [])]) {
+            if (id) this.knownServices.set(id, protocols);
+        }
+    }
+
     /**
      * Auto-discover Apple TVs on the network.
      * - Scans the network
@@ -136,9 +186,7 @@ class AppleTvAdapter extends utils.Adapter {
     async _autoDiscover() {
         this.log.info('Scanning network for Apple TV devices...');
         try {
-            const scanBackend = this.backendFactory.create({});
-            const scanHosts = this.config.scanHosts || '';
-            const foundDevices = await scanBackend.scan(scanHosts);
+            const foundDevices = await this._scanNetwork(this._getBackendFactory(this.config.backend || 'pyatv'));
             this.log.info('Found ' + foundDevices.length + ' Apple TV(s) on network');
 
             if (foundDevices.length === 0) return;
@@ -168,6 +216,7 @@ class AppleTvAdapter extends utils.Adapter {
                         modelStr: found.modelStr,
                         os: found.os,
                         osVersion: found.osVersion,
+                        backend: '',
                         airplayCredentials: '',
                         companionCredentials: '',
                         mrpCredentials: '',
@@ -211,6 +260,60 @@ class AppleTvAdapter extends utils.Adapter {
         }
     }
 
+    /**
+     * Start the passive mDNS listener. Known devices that re-announce themselves
+     * are reconnected immediately, goodbye packets mark them offline.
+     */
+    async _startMdnsListener() {
+        this.mdnsListener = new MdnsListener(this.log);
+        this.mdnsListener.on('announce', (found) => {
+            this._onDeviceAnnounce(found).catch(err => {
+                this.log.debug('Failed to handle mDNS announcement: ' + err.message);
+            });
+        });
+        this.mdnsListener.on('goodbye', (found) => {
+            const manager = this._findManagerForDevice(found);
+            if (!manager) return;
+            manager.handleDeviceGone().catch(err => {
+                this.log.debug('Failed to handle mDNS goodbye: ' + err.message);
+            });
+        });
+
+        try {
+            await this.mdnsListener.start();
+            this.log.debug('mDNS listener active');
+        } catch (err) {
+            this.log.warn(err.message + ' - offline devices are only retried by the reconnect timer');
+            this.mdnsListener = null;
+        }
+    }
+
+    async _onDeviceAnnounce(found) {
+        this._rememberServices(found);
+        const manager = this._findManagerForDevice(found);
+        if (!manager) return;
+        const addressChanged = await manager.handleDeviceSeen(found.address);
+        if (addressChanged) {
+            await this._saveDevicesConfig(this.config.devices || []);
+        }
+    }
+
+    /**
+     * Find the DeviceManager for a discovered device by identifier or MAC.
+     */
+    _findManagerForDevice(found) {
+        for (const manager of this.devices.values()) {
+            const config = manager.deviceConfig;
+            if (config.identifier && (config.identifier === found.identifier || found.allIdentifiers.includes(config.identifier))) {
+                return manager;
+            }
+            if (config.mac && found.mac && config.mac.toUpperCase() === found.mac.toUpperCase()) {
+                return manager;
+            }
+        }
+        return null;
+    }
+
     /**
      * Initialize a single device: create backend, DeviceManager, state tree, connect.
      */
@@ -226,6 +329,12 @@ class AppleTvAdapter extends utils.Adapter {
         // Skip if already initialized
         if (this.devices.has(deviceId)) return;
 
+        const backendType = this._backendTypeFor(deviceConfig);
+        if (backendType === 'pyatv' && !this.pyatvAvailable) {
+            this.log.warn('pyatv is not available - skipping device ' + (deviceConfig.name || deviceId));
+            return;
+        }
+
         const backendConfig = {
             identifier: deviceConfig.identifier || '',
             address: deviceConfig.address || '',
@@ -234,16 +343,50 @@ class AppleTvAdapter extends utils.Adapter {
                 airplay: deviceConfig.airplayCredentials || '',
                 companion: deviceConfig.companionCredentials || '',
             },
+            mock: deviceConfig.mock,
         };
 
-        const backend = this.backendFactory.create(backendConfig);
+        const backend = this._getBackendFactory(backendType).create(backendConfig);
         const manager = new DeviceManager(this, deviceId, deviceConfig, backend);
         this.devices.set(deviceId, manager);
 
         await manager.createStateTree();
         await manager.connect();
 
-        this.log.info('Device initialized: ' + (deviceConfig.name || deviceId));
+        this.log.info('Device initialized: ' + (deviceConfig.name || deviceId) + ' (backend: ' + backendType + ')');
+    }
+
+    /**
+     * Backend type of a device: its own "backend" setting or the instance default.
+     */
+    _backendTypeFor(deviceConfig) {
+        return deviceConfig.backend || this.config.backend || 'pyatv';
+    }
+
+    /**
+     * Shared BackendFactory per backend type.
+     * @param {string} backendType
+     * @returns {BackendFactory}
+     */
+    _getBackendFactory(backendType) {
+        let factory = this.backendFactories.get(backendType);
+        if (!factory) {
+            factory = new BackendFactory(backendType, this.log);
+            this.backendFactories.set(backendType, factory);
+        }
+        return factory;
+    }
+
+    /**
+     * pyatv is needed if a configured device uses it, or if auto-discovery
+     * adds new devices with pyatv as the default backend.
+     */
+    _needsPyatv() {
+        const configuredDevices = this.config.devices || [];
+        if (configuredDevices.some(d => this._backendTypeFor(d) === 'pyatv')) {
+            return true;
+        }
+        return (this.config.backend || 'pyatv') === 'pyatv' && this.config.autoDiscovery !== false;
     }
 
     // ──────────────────────────────────────────────
@@ -258,6 +401,12 @@ class AppleTvAdapter extends utils.Adapter {
 
         const relativePath = id.substring(adapterPrefix.length);
         const parts = relativePath.split('.');
+
+        // Instance-level pairing states (pairing.identifier, pairing.start, ...)
+        if (parts[0] === 'pairing' && parts.length === 2) {
+            await this._handlePairingState(parts[1], state.val);
+            return;
+        }
         if (parts.length < 3) return;
 
         const deviceId = parts[0];
@@ -272,11 +421,45 @@ class AppleTvAdapter extends utils.Adapter {
 
         try {
             if (channel === 'remote') {
-                await manager.handleRemoteCommand(stateName);
+                if (stateName === 'text' || stateName === 'textAppend' || stateName === 'textClear') {
+                    await manager.handleTextInput(stateName, state.val);
+                } else if (stateName === 'swipe' || stateName === 'tap' || stateName === 'touch') {
+                    await manager.handleTouch(stateName, state.val);
+                } else if (stateName !== 'keyboardFocused') {
+                    await manager.handleRemoteCommand(stateName);
+                }
             } else if (channel === 'power' && stateName === 'state') {
                 await manager.handlePowerCommand(state.val);
             } else if (channel === 'playing' && stateName === 'position') {
                 await manager.handleSeek(state.val);
+            } else if (channel === 'playing' && stateName === 'seekRelative') {
+                await manager.handleSeekRelative(state.val);
+            } else if (channel === 'playing' && (stateName === 'skipForward' || stateName === 'skipBackward')) {
+                await manager.handleSkip(stateName === 'skipForward');
+            } else if (channel === 'playing' && stateName === 'playUrl') {
+                await manager.handlePlayUrl(state.val);
+            } else if (channel === 'playing' && (stateName === 'shuffle' || stateName === 'repeat')) {
+                await manager.handlePlaybackMode(stateName, state.val);
+            } else if (channel === 'accounts' && stateName === 'switch') {
+                await manager.handleAccountSwitch(state.val);
+            } else if (channel === 'outputs') {
+                if (parts.length === 3) {
+                    await manager.handleOutputs(stateName, state.val);
+                } else if (parts.length === 5 && stateName === 'devices' && parts[4] === 'volume') {
+                    // outputs.devices.{outputId}.volume
+                    await manager.handleOutputVolume(parts[3], state.val);
+                }
+            } else if (channel === 'audio' && stateName === 'streamFile') {
+                await manager.handleStreamFile(state.val);
+            } else if (channel === 'audio' && stateName === 'announce') {
+                const volumeState = await this.getStateAsync(deviceId + '.audio.announceVolume');
+                await manager.handleAnnouncement(state.val, volumeState ? Number(volumeState.val) : 0);
+            } else if (channel === 'audio' && stateName === 'announceVolume') {
+                await this.setStateAsync(id, state.val, true);
+            } else if (channel === 'volume' && stateName === 'level') {
+                await manager.handleVolume(state.val);
+            } else if (channel === 'volume' && stateName === 'mute') {
+                await manager.handleMute(!!state.val);
             } else if (channel === 'apps') {
                 if (stateName === 'launch' && parts.length === 3) {
                     // apps.launch = bundleId string
@@ -299,7 +482,7 @@ class AppleTvAdapter extends utils.Adapter {
 
     // ──────────────────────────────────────────────
     //  ADMIN UI MESSAGES
-    //  Handles: scan, pair start/pin/abort, pyatv check/install
+    //  Handles: scan, pair start/pin/abort, pyatv check/install/upgrade/repair
     // ──────────────────────────────────────────────
 
     async onMessage(obj) {
@@ -310,11 +493,15 @@ class AppleTvAdapter extends utils.Adapter {
             // ── Scan for Apple TVs ──
             case 'scanDevices': {
                 try {
-                    const backendType = this.config.backend || 'pyatv';
-                    const factory = new BackendFactory(backendType, this.log);
-                    const backend = factory.create({});
-                    const scanHosts = this.config.scanHosts || '';
-                    const devices = await backend.scan(scanHosts);
+                    const msg = obj.message || {};
+                    const backendType = msg.backend || this.config.backend || 'pyatv';
+                    const devices = await this._scanNetwork(this._getBackendFactory(backendType));
+                    // Keep the backend chosen for already configured devices
+                    const configuredDevices = this.config.devices || [];
+                    for (const device of devices) {
+                        const configured = configuredDevices.find(d => d.identifier && d.identifier === device.identifier);
+                        device.backend = configured ? configured.backend || '' : '';
+                    }
                     this.log.info('Scan found ' + devices.length + ' Apple TV device(s)');
                     this._respond(obj, { devices });
                 } catch (err) {
@@ -325,82 +512,29 @@ class AppleTvAdapter extends utils.Adapter {
             }
 
             // ── Start pairing (Step 1: triggers PIN on TV) ──
+            // Without a protocol (or "auto") all protocols the device offers are paired one after another
             case 'startPairing': {
-                try {
-                    const msg = obj.message || {};
-                    const identifier = msg.identifier || msg.address;
-                    if (!identifier) {
-                        this._respond(obj, { error: 'No device identifier provided' });
-                        return;
-                    }
-
-                    // Create a dedicated backend for this pairing session
-                    const pairBackend = new PyatvBackend({
-                        identifier: msg.identifier || '',
-                        address: msg.address || '',
-                        credentials: {},
-                    }, this.log);
-
-                    const result = await pairBackend.pairStart(msg.protocol || 'airplay');
-
-                    if (result.status === 'awaitingPin') {
-                        // Store the backend so we can send it the PIN later
-                        this._pairingSessions.set(identifier, pairBackend);
-                        this._respond(obj, { status: 'awaitingPin', identifier });
-                    } else if (result.status === 'paired') {
-                        // Some devices pair without PIN
-                        await this._storePairCredentials(identifier, msg.protocol || 'airplay', result.credentials);
-                        this._respond(obj, { status: 'paired', credentials: result.credentials });
-                    }
-                } catch (err) {
-                    this._respond(obj, { error: err.message });
+                const msg = obj.message || {};
+                const identifier = msg.identifier || msg.address;
+                if (!identifier) {
+                    this._respond(obj, { error: 'No device identifier provided' });
+                    return;
                 }
+                this._respond(obj, await this._startPairing(identifier, msg));
                 break;
             }
 
-            // ── Submit PIN (Step 2: sends PIN to running pair process) ──
+            // ── Submit PIN (Step 2: sends PIN to running pair process, then starts the next protocol) ──
             case 'submitPin': {
-                try {
-                    const msg = obj.message || {};
-                    const identifier = msg.identifier || msg.address;
-                    const pin = String(msg.pin || '');
-
-                    if (!pin || pin.length !== 4) {
-                        this._respond(obj, { error: 'PIN must be exactly 4 digits' });
-                        return;
-                    }
-
-                    const pairBackend = this._pairingSessions.get(identifier);
-                    if (!pairBackend) {
-                        this._respond(obj, { error: 'No active pairing session for ' + identifier + '. Start pairing first.' });
-                        return;
-                    }
-
-                    const result = await pairBackend.pairFinish(pin);
-                    this._pairingSessions.delete(identifier);
-
-                    // Auto-save credentials to device config
-                    if (result.credentials) {
-                        await this._storePairCredentials(identifier, msg.protocol || 'airplay', result.credentials);
-                    }
-
-                    this._respond(obj, { status: 'paired', credentials: result.credentials });
-                } catch (err) {
-                    this._respond(obj, { error: err.message });
-                }
+                const msg = obj.message || {};
+                this._respond(obj, await this._submitPairingPin(msg.identifier || msg.address, String(msg.pin || '')));
                 break;
             }
 
             // ── Abort pairing ──
             case 'abortPairing': {
                 const msg = obj.message || {};
-                const identifier = msg.identifier || msg.address;
-                const pairBackend = this._pairingSessions.get(identifier);
-                if (pairBackend) {
-                    pairBackend.pairAbort();
-                    this._pairingSessions.delete(identifier);
-                }
-                this._respond(obj, { status: 'aborted' });
+                this._respond(obj, await this._abortPairing(msg.identifier || msg.address));
                 break;
             }
 
@@ -417,9 +551,9 @@ class AppleTvAdapter extends utils.Adapter {
                     // Read current config for credentials
                     const streaming = this.config.streaming || {};
                     const credMap = {
-                        waipu: { username: streaming.waipuUsername || '', password: streaming.waipuPassword || '' },
-                        zattoo: { username: streaming.zattooUsername || '', password: streaming.zattooPassword || '' },
-                        magentaTv: { username: streaming.magentaTvUsername || '', password: streaming.magentaTvPassword || '' },
+                        waipu: { username: streaming.waipuUsername || '', password: this.config.waipuPassword || '' },
+                        zattoo: { username: streaming.zattooUsername || '', password: this.config.zattooPassword || '' },
+                        magentaTv: { username: streaming.magentaTvUsername || '', password: this.config.magentaTvPassword || '' },
                         plutoTv: {},
                         joyn: {},
                         ard: {},
@@ -448,18 +582,62 @@ class AppleTvAdapter extends utils.Adapter {
                 break;
             }
 
+            // ── Play a media URL on a device (AirPlay) ──
+            case 'playUrl': {
+                try {
+                    const msg = obj.message || {};
+                    const manager = this._getManagerForMessage(msg);
+                    if (!manager) {
+                        this._respond(obj, { error: 'Unknown device: ' + (msg.device || msg.identifier || '') });
+                        return;
+                    }
+                    await manager.handlePlayUrl(msg.url);
+                    this._respond(obj, { status: 'playing', device: manager.deviceId });
+                } catch (err) {
+                    this._respond(obj, { error: err.message });
+                }
+                break;
+            }
+
+            // ── Announcement: pause, play clip, restore volume and playback ──
+            case 'announce': {
+                try {
+                    const msg = obj.message || {};
+                    const manager = this._getManagerForMessage(msg);
+                    if (!manager) {
+                        this._respond(obj, { error: 'Unknown device: ' + (msg.device || msg.identifier || '') });
+                        return;
+                    }
+                    await manager.handleAnnouncement(msg.source || msg.url || msg.file, Number(msg.volume) || 0);
+                    this._respond(obj, { status: 'done', device: manager.deviceId });
+                } catch (err) {
+                    this._respond(obj, { error: err.message });
+                }
+                break;
+            }
+
             // ── Check pyatv ──
             case 'checkPyatv': {
-                const available = await PyatvBackend.checkInstalled();
-                this._respond(obj, { available });
+                const status = await PyatvBackend.checkInstalled();
+                this._respond(obj, Object.assign({ result: this._describePyatv(status) }, status));
                 break;
             }
 
-            // ── Install pyatv ──
-            case 'installPyatv': {
-                const installed = await PyatvBackend.installPyatv(this.log);
-                const available = installed ? await PyatvBackend.checkInstalled() : false;
-                this._respond(obj, { installed, available });
+            // ── Install / upgrade / repair pyatv in the adapter's venv ──
+            case 'installPyatv':
+            case 'upgradePyatv':
+            case 'repairPyatv': {
+                const installed = await PyatvBackend.installPyatv(this.log, {
+                    version: this.config.pyatvVersion,
+                    upgrade: obj.command === 'upgradePyatv',
+                    repair:  obj.command === 'repairPyatv',
+                });
+                const status = await PyatvBackend.checkInstalled();
+                if (installed) {
+                    this._respond(obj, Object.assign({ installed, result: this._describePyatv(status) + '. Restart the instance to use it.' }, status));
+                } else {
+                    this._respond(obj, Object.assign({ installed, error: 'pyatv installation failed, see the log for details' }, status));
+                }
                 break;
             }
 
@@ -480,16 +658,20 @@ class AppleTvAdapter extends utils.Adapter {
                 this.autoScanTimer = null;
             }
 
+            if (this.mdnsListener) {
+                this.mdnsListener.stop();
+                this.mdnsListener = null;
+            }
+
             // Stop streaming manager
             if (this.streamingManager) {
                 this.streamingManager.stop();
             }
 
             // Abort any active pairing sessions
-            for (const [_id, backend] of this._pairingSessions) {
-                backend.pairAbort();
+            for (const identifier of [...this._pairingSessions.keys()]) {
+                this._endPairingSession(identifier);
             }
-            this._pairingSessions.clear();
 
             // Disconnect all devices
             for (const [_deviceId, manager] of this.devices) {
@@ -509,8 +691,280 @@ class AppleTvAdapter extends utils.Adapter {
     // ──────────────────────────────────────────────
 
     /**
-     * After successful pairing, store the credentials in the adapter config
-     * and reinitialize the device with new credentials.
+     * Start pairing a device (replaces a session that still waits for its PIN).
+     * @param {string} identifier - device identifier or address
+     * @param {object} msg - identifier/address and protocol ("auto" or empty for all required)
+     * @returns {Promise<object>} response for the admin UI
+     */
+    async _startPairing(identifier, msg) {
+        let response;
+        try {
+            await this._finishPairingSession(identifier);
+            const session = await this._createPairingSession(identifier, msg);
+            response = await this._nextPairingStep(session);
+        } catch (err) {
+            await this._finishPairingSession(identifier);
+            response = { error: err.message };
+        }
+        await this._setPairingStatus(response.error ? 'error' : response.status, response.error || response.result);
+        return response;
+    }
+
+    /**
+     * Pass the PIN to the running pairing step and continue with the next protocol.
+     * @returns {Promise<object>} response for the admin UI
+     */
+    async _submitPairingPin(identifier, pin) {
+        if (!pin || pin.length !== 4) {
+            return { error: 'PIN must be exactly 4 digits' };
+        }
+        const session = this._pairingSessions.get(identifier);
+        if (!session) {
+            return { error: 'No active pairing session for ' + identifier + '. Start pairing first.' };
+        }
+
+        // The PIN arrived, the timeout must not end the session during pairFinish
+        if (session.timer) {
+            clearTimeout(session.timer);
+            session.timer = null;
+        }
+
+        let response;
+        try {
+            const protocol = session.protocols[session.step];
+            const result = await session.backend.pairFinish(pin);
+
+            // Auto-save credentials to device config
+            if (result.credentials) {
+                await this._storePairCredentials(identifier, protocol, result.credentials);
+                session.credentials[protocol] = result.credentials;
+            }
+            session.paired.push(protocol);
+            session.step++;
+
+            response = await this._nextPairingStep(session);
+        } catch (err) {
+            await this._finishPairingSession(identifier);
+            response = { error: err.message + '. Start pairing again.' };
+        }
+        await this._setPairingStatus(response.error ? 'error' : response.status, response.error || response.result);
+        return response;
+    }
+
+    async _abortPairing(identifier) {
+        if (this._pairingSessions.has(identifier)) {
+            await this._finishPairingSession(identifier);
+            await this._setPairingStatus('aborted', 'Pairing of ' + identifier + ' aborted');
+        }
+        return { status: 'aborted' };
+    }
+
+    /**
+     * Writes to the instance-level pairing states. pairing.identifier and
+     * pairing.protocol only store the value, pairing.start and pairing.pin
+     * drive the same pairing flow as the admin UI for the device in
+     * pairing.identifier. The buttons pairing.start and pairing.abort react to true.
+     */
+    async _handlePairingState(stateName, val) {
+        const prefix = 'pairing.';
+        switch (stateName) {
+            case 'identifier':
+            case 'protocol':
+                await this.setStateAsync(prefix + stateName, val === null || val === undefined ? '' : String(val), true);
+                break;
+
+            case 'start': {
+                if (!val) return;
+                const protocolState = await this.getStateAsync(prefix + 'protocol');
+                const identifier = await this._pairingStateTarget();
+                if (!identifier) {
+                    await this._setPairingStatus('error', 'No device identifier set in pairing.identifier');
+                    return;
+                }
+                const protocol = (protocolState && protocolState.val) || this.config.pairProtocol || 'auto';
+                await this._startPairing(identifier, { identifier, protocol });
+                break;
+            }
+
+            case 'pin': {
+                const pin = String(val === null || val === undefined ? '' : val).trim();
+                // Clear the PIN so the next step can receive its own
+                await this.setStateAsync(prefix + 'pin', '', true);
+                const identifier = await this._pairingStateTarget();
+                if (!this._pairingSessions.has(identifier)) {
+                    await this._setPairingStatus('error', 'No pairing of ' + (identifier || 'a device') + ' waiting for a PIN. Start pairing first.');
+                    return;
+                }
+                const response = await this._submitPairingPin(identifier, pin);
+                if (response.error && this._pairingSessions.has(identifier)) {
+                    // Invalid PIN format - the step still waits for a PIN
+                    await this.setStateAsync(prefix + 'message', response.error, true);
+                }
+                break;
+            }
+
+            case 'abort': {
+                if (!val) return;
+                for (const identifier of [...this._pairingSessions.keys()]) {
+                    await this._abortPairing(identifier);
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Device the pairing states refer to: pairing.identifier or the configured
+     * pairIdentifier. Accepts the device object ID as well; falls back to the only device.
+     * @returns {Promise<string>} identifier (or address) the pairing session is keyed by
+     */
+    async _pairingStateTarget() {
+        const idState = await this.getStateAsync('pairing.identifier');
+        const target = (idState && idState.val) || this.config.pairIdentifier || '';
+        const manager = this._getManagerForMessage({ identifier: target });
+        return manager ? manager.deviceConfig.identifier || manager.deviceConfig.address : target;
+    }
+
+    /**
+     * Reflect the pairing progress in pairing.status and pairing.message.
+     */
+    async _setPairingStatus(status, message) {
+        await this.setStateAsync('pairing.status', status, true);
+        await this.setStateAsync('pairing.message', message || '', true);
+    }
+
+    /**
+     * Create a pairing session with a dedicated backend of the type configured
+     * for the device. node-appletv-x can only pair MRP; otherwise a single
+     * requested protocol is paired, or all protocols the device needs.
+     * @param {string} identifier - device identifier or address
+     * @param {object} msg - sendTo message with identifier/address and protocol
+     */
+    async _createPairingSession(identifier, msg) {
+        const configured = (this.config.devices || []).find(d =>
+            (msg.identifier && d.identifier === msg.identifier) || (msg.address && d.address === msg.address)
+        );
+        const backendType = configured ? this._backendTypeFor(configured) : (this.config.backend || 'pyatv');
+        const factory = this._getBackendFactory(backendType);
+        const backend = factory.create({
+            identifier: msg.identifier || (configured && configured.identifier) || '',
+            address: msg.address || (configured && configured.address) || '',
+            credentials: {},
+            mock: configured && configured.mock,
+        });
+
+        let protocols;
+        if (backendType === 'node-appletv-x') {
+            protocols = ['mrp'];
+        } else if (msg.protocol && msg.protocol !== 'auto') {
+            protocols = [msg.protocol];
+        } else {
+            protocols = await this._requiredPairingProtocols((configured && configured.identifier) || identifier, factory);
+        }
+
+        const session = { identifier, backend, protocols, step: 0, paired: [], credentials: {}, timer: null };
+        this._pairingSessions.set(identifier, session);
+        return session;
+    }
+
+    /**
+     * Protocols to pair, taken from the services the device announces.
+     * Uses the services seen by discovery and scans only if the device is unknown.
+     */
+    async _requiredPairingProtocols(identifier, factory) {
+        let services = this.knownServices.get(identifier);
+        if (!services) {
+            try {
+                await this._scanNetwork(factory);
+                services = this.knownServices.get(identifier);
+            } catch (err) {
+                this.log.debug('Scan for pairing protocols failed: ' + err.message);
+            }
+        }
+        const protocols = Object.keys(PAIRING_PROTOCOLS).filter(p => services && services.includes(p));
+        return protocols.length > 0 ? protocols : DEFAULT_PAIRING_PROTOCOLS.slice();
+    }
+
+    /**
+     * Start pairing the next protocol of a session. Protocols that pair
+     * without a PIN are stored right away. Ends the session after the last one.
+     * @returns {Promise<object>} response for the admin UI
+     */
+    async _nextPairingStep(session) {
+        const steps = session.protocols.length;
+        while (session.step < steps) {
+            const protocol = session.protocols[session.step];
+            const result = await session.backend.pairStart(protocol);
+            if (result.status === 'awaitingPin') {
+                this._touchPairingSession(session);
+                return {
+                    status: 'awaitingPin',
+                    identifier: session.identifier,
+                    protocol,
+                    step: session.step + 1,
+                    steps,
+                    paired: session.paired.slice(),
+                    result: 'Enter the PIN shown on the Apple TV for ' + PAIRING_PROTOCOLS[protocol] + ' (step ' + (session.step + 1) + ' of ' + steps + ')',
+                };
+            }
+            // Some devices pair without PIN
+            await this._storePairCredentials(session.identifier, protocol, result.credentials);
+            session.credentials[protocol] = result.credentials;
+            session.paired.push(protocol);
+            session.step++;
+        }
+
+        await this._finishPairingSession(session.identifier);
+        return {
+            status: 'paired',
+            identifier: session.identifier,
+            paired: session.paired,
+            credentials: session.credentials,
+            result: 'Paired: ' + session.paired.map(p => PAIRING_PROTOCOLS[p]).join(', '),
+        };
+    }
+
+    /**
+     * (Re)start the timeout of a session waiting for a PIN.
+     */
+    _touchPairingSession(session) {
+        if (session.timer) clearTimeout(session.timer);
+        session.timer = setTimeout(() => {
+            session.timer = null;
+            this.log.warn('Pairing of ' + session.identifier + ' timed out waiting for the PIN');
+            this._finishPairingSession(session.identifier)
+                .then(() => this._setPairingStatus('timeout', 'No PIN was entered in time. Start pairing again.'))
+                .catch(() => {});
+        }, PAIRING_SESSION_TIMEOUT);
+    }
+
+    /**
+     * Stop a pairing session: clears its timeout and ends the pairing process (e.g. atvremote).
+     */
+    _endPairingSession(identifier) {
+        const session = this._pairingSessions.get(identifier);
+        if (!session) return;
+        if (session.timer) clearTimeout(session.timer);
+        session.backend.pairAbort();
+        this._pairingSessions.delete(identifier);
+    }
+
+    /**
+     * End a pairing session and reinitialize the device once if the session
+     * stored credentials for any protocol.
+     */
+    async _finishPairingSession(identifier) {
+        const session = this._pairingSessions.get(identifier);
+        if (!session) return;
+        this._endPairingSession(identifier);
+        if (session.paired.length > 0) {
+            await this._reinitPairedDevice(identifier);
+        }
+    }
+
+    /**
+     * After a successful pairing step, store the credentials in the adapter config.
+     * The device is reinitialized when the pairing session ends.
      */
     async _storePairCredentials(identifier, protocol, credentials) {
         const devices = this.config.devices || [];
@@ -541,8 +995,17 @@ class AppleTvAdapter extends utils.Adapter {
         // Save updated config
         await this._saveDevicesConfig(devices);
         this.log.info('Credentials for ' + protocol + ' saved for device ' + (device.name || identifier));
+    }
+
+    /**
+     * Reconnect a device with the credentials stored by pairing.
+     */
+    async _reinitPairedDevice(identifier) {
+        const device = (this.config.devices || []).find(d =>
+            d.identifier === identifier || d.address === identifier
+        );
+        if (!device) return;
 
-        // Reconnect device with new credentials
         const deviceId = this._sanitizeId(device.identifier || device.mac || device.address);
         const existingManager = this.devices.get(deviceId);
         if (existingManager) {
@@ -559,11 +1022,12 @@ class AppleTvAdapter extends utils.Adapter {
     /**
      * Save the devices array to the adapter's native config.
      * Uses extendForeignObjectAsync to update only the native.devices field.
+     * Credentials are encrypted on the way, the in-memory config keeps them decrypted.
      */
     async _saveDevicesConfig(devices) {
         try {
             await this.extendForeignObjectAsync('system.adapter.' + this.namespace, {
-                native: { devices },
+                native: { devices: devices.map(d => this._encryptDeviceCredentials(d)) },
             });
             // Update local config cache
             this.config.devices = devices;
@@ -573,6 +1037,135 @@ class AppleTvAdapter extends utils.Adapter {
         }
     }
 
+    // ──────────────────────────────────────────────
+    //  CREDENTIALS
+    // ──────────────────────────────────────────────
+
+    /**
+     * Decrypt stored credentials into this.config and migrate plain-text values:
+     * - streaming passwords move from native.streaming to the encryptedNative keys
+     * - plain pairing credentials in native.devices get encrypted
+     */
+    async _migrateCredentials() {
+        const update = {};
+
+        // js-controller already decrypted the encryptedNative keys in this.config
+        const streaming = this.config.streaming || {};
+        for (const field of STREAMING_PASSWORD_FIELDS) {
+            if (!streaming[field]) continue;
+            if (!this.config[field]) {
+                this.config[field] = streaming[field];
+                update[field] = this.encrypt(streaming[field]);
+            }
+            streaming[field] = '';
+            update.streaming = streaming;
+        }
+
+        const devices = this.config.devices || [];
+        const plain = devices.some(d => DEVICE_CREDENTIAL_FIELDS.some(f => d[f] && !this._isEncrypted(d[f])));
+        this.config.devices = devices.map(d => this._decryptDeviceCredentials(d));
+        if (plain) {
+            update.devices = this.config.devices.map(d => this._encryptDeviceCredentials(d));
+        }
+
+        if (Object.keys(update).length === 0) return;
+        try {
+            await this.extendForeignObjectAsync('system.adapter.' + this.namespace, { native: update });
+            this.log.info('Stored credentials migrated to encrypted storage');
+        } catch (err) {
+            this.log.error('Failed to encrypt stored credentials: ' + err.message);
+        }
+    }
+
+    _isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(ENCRYPTED_VALUE_PREFIX);
+    }
+
+    /**
+     * Copy of a device config entry with encrypted credential fields.
+     */
+    _encryptDeviceCredentials(device) {
+        const copy = Object.assign({}, device);
+        for (const field of DEVICE_CREDENTIAL_FIELDS) {
+            if (copy[field] && !this._isEncrypted(copy[field])) {
+                copy[field] = this.encrypt(copy[field]);
+            }
+        }
+        return copy;
+    }
+
+    /**
+     * Copy of a device config entry with decrypted credential fields.
+     * Plain-text values (not yet migrated) are kept as they are.
+     */
+    _decryptDeviceCredentials(device) {
+        const copy = Object.assign({}, device);
+        for (const field of DEVICE_CREDENTIAL_FIELDS) {
+            if (!this._isEncrypted(copy[field])) continue;
+            try {
+                copy[field] = this.decrypt(copy[field]);
+            } catch (err) {
+                this.log.warn('Cannot decrypt ' + field + ' of ' + (device.name || device.identifier) + ', pair the device again: ' + err.message);
+                copy[field] = '';
+            }
+        }
+        return copy;
+    }
+
+    // ──────────────────────────────────────────────
+    //  PYATV ENVIRONMENT
+    // ──────────────────────────────────────────────
+
+    /**
+     * Point the pyatv backend at the venv below this instance's data directory.
+     */
+    _setPyatvVenv() {
+        PyatvBackend.setVenvDir(path.join(utils.getAbsoluteInstanceDataDir(this), PYATV_VENV_DIR));
+    }
+
+    /**
+     * Make sure a suitable pyatv is available. Installs pyatv into the
+     * adapter's venv if it is missing, too old or not the pinned version.
+     * @returns {Promise<boolean>} true if pyatv can be used
+     */
+    async _ensurePyatv() {
+        this._setPyatvVenv();
+        const pinned = (this.config.pyatvVersion || '').trim();
+        let status = await PyatvBackend.checkInstalled();
+
+        let reason = null;
+        if (!status.available) {
+            reason = 'pyatv not found';
+        } else if (status.outdated) {
+            reason = 'pyatv ' + status.version + ' is older than the required ' + PYATV_MIN_VERSION;
+        } else if (pinned && status.version !== pinned) {
+            reason = 'pyatv ' + status.version + ' does not match the configured version ' + pinned;
+        }
+        if (reason) {
+            this.log.warn(reason + ' - installing pyatv into the adapter environment...');
+            if (await PyatvBackend.installPyatv(this.log, { version: pinned, upgrade: status.available })) {
+                status = await PyatvBackend.checkInstalled();
+            }
+        }
+
+        if (!status.available) {
+            this.log.error('pyatv could not be installed automatically. Make sure python3 and python3-venv are installed, then use "Repair pyatv" in the instance settings');
+            return false;
+        }
+        if (status.outdated) {
+            this.log.warn('pyatv ' + status.version + ' is older than ' + PYATV_MIN_VERSION + ', some functions may not work. Use "Upgrade pyatv" in the instance settings');
+        }
+        this.log.info(this._describePyatv(status));
+        return true;
+    }
+
+    _describePyatv(status) {
+        if (!status.available) {
+            return 'pyatv is not installed';
+        }
+        return 'pyatv ' + status.version + ' available (' + (status.location === 'venv' ? 'adapter environment' : 'system installation') + ': ' + status.path + ')';
+    }
+
     // ──────────────────────────────────────────────
     //  UTILITY
     // ──────────────────────────────────────────────
@@ -581,6 +1174,25 @@ class AppleTvAdapter extends utils.Adapter {
         return raw.replace(/[^a-zA-Z0-9_-]/g, '_');
     }
 
+    /**
+     * Resolve the DeviceManager addressed by a sendTo message
+     * (device object ID, identifier or address). Falls back to the only device if just one exists.
+     */
+    _getManagerForMessage(msg) {
+        const target = msg.device || msg.identifier || msg.address;
+        if (!target) {
+            return this.devices.size === 1 ? this.devices.values().next().value : null;
+        }
+        const byId = this.devices.get(this._sanitizeId(String(target)));
+        if (byId) return byId;
+        for (const manager of this.devices.values()) {
+            if (manager.deviceConfig.identifier === target || manager.deviceConfig.address === target) {
+                return manager;
+            }
+        }
+        return null;
+    }
+
     _respond(obj, data) {
         if (obj.callback) {
             this.sendTo(obj.from, obj.command, data, obj.callback);
@@ -0,0 +1,431 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { utils } = require('@iobroker/testing');
+const { DeviceManager } = require('../lib/device-manager');
+const { MockBackend } = require('../lib/backend/mock');
+const { STATE_DEFINITIONS } = require('../lib/state-definitions');
+const { MAX_RECONNECT_ATTEMPTS, RECONNECT_BASE_DELAY } = require('../lib/constants');
+const { mockDeviceConfig, flush } = require('./lib/harness');
+
+const NS = 'apple-tv.0';
+const DEVICE_ID = 'MOCK-LIVINGROOM';
+
+function createManager(mock, adapterConfig) {
+    const { database, adapter } = utils.unit.createMocks({ name: 'apple-tv', config: adapterConfig || {} });
+    const deviceConfig = mockDeviceConfig(mock);
+    const backend = new MockBackend(deviceConfig, adapter.log);
+    const manager = new DeviceManager(adapter, DEVICE_ID, deviceConfig, backend);
+    return { database, adapter, backend, manager };
+}
+
+function stateVal(database, path) {
+    const state = database.getState(NS + '.' + DEVICE_ID + '.' + path);
+    return state ? state.val : undefined;
+}
+
+describe('DeviceManager', () => {
+    describe('createStateTree()', () => {
+        it('creates the device, all channels and all states', async () => {
+            const { database, manager } = createManager();
+            await manager.createStateTree();
+
+            expect(database.getObject(NS + '.' + DEVICE_ID)).to.include({ type: 'device' });
+            for (const [channel, states] of Object.entries(STATE_DEFINITIONS)) {
+                expect(database.getObject(NS + '.' + DEVICE_ID + '.' + channel), channel).to.include({ type: 'channel' });
+                for (const [name, def] of Object.entries(states)) {
+                    const obj = database.getObject(NS + '.' + DEVICE_ID + '.' + channel + '.' + name);
+                    expect(obj, channel + '.' + name).to.exist;
+                    expect(obj.common).to.include({ type: def.type, role: def.role, write: def.write });
+                }
+            }
+        });
+
+        it('annotates states with their feature and writes info.features', async () => {
+            const { database, manager } = createManager({ features: { SetShuffle: 'unavailable' } });
+            await manager.createStateTree();
+
+            const obj = database.getObject(NS + '.' + DEVICE_ID + '.playing.shuffle');
+            expect(obj.native).to.deep.equal({ feature: 'SetShuffle', featureState: 'unavailable' });
+            expect(JSON.parse(stateVal(database, 'info.features'))).to.include({ SetShuffle: 'unavailable', SetVolume: 'available' });
+        });
+
+        it('skips states of unsupported features and ignores writes to them', async () => {
+            const { database, manager } = createManager({ features: { SetVolume: 'unsupported' } });
+            await manager.createStateTree();
+
+            expect(database.getObject(NS + '.' + DEVICE_ID + '.volume.level')).to.be.undefined;
+            expect(manager.skippedStates.has('volume.level')).to.be.true;
+
+            await manager._setState('volume.level', 20);
+            expect(database.getState(NS + '.' + DEVICE_ID + '.volume.level')).to.be.undefined;
+        });
+
+        it('creates playing.rate only for backends that report the rate', async () => {
+            // pyatv has no PlaybackRate feature
+            const { database, manager } = createManager({ features: { PlaybackRate: 'unsupported' } });
+            await manager.createStateTree();
+            expect(database.getObject(NS + '.' + DEVICE_ID + '.playing.rate')).to.be.undefined;
+        });
+
+        it('creates the full tree if the capabilities cannot be read', async () => {
+            const { database, manager } = createManager({ failures: { unreachable: true } });
+            await manager.createStateTree();
+
+            expect(manager.capabilities).to.be.null;
+            expect(manager.skippedStates.size).to.equal(0);
+            expect(database.getObject(NS + '.' + DEVICE_ID + '.volume.level')).to.exist;
+        });
+    });
+
+    describe('push updates', () => {
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createManager({ volume: 35 });
+            await ctx.manager.createStateTree();
+            await ctx.manager.connect();
+            await flush();
+        });
+
+        afterEach(async () => {
+            await ctx.manager.disconnect();
+        });
+
+        it('marks the device connected and writes the initial states', async () => {
+            const { database } = ctx;
+            expect(stateVal(database, 'info.connected')).to.be.true;
+            expect(stateVal(database, 'power.state')).to.be.true;
+            expect(stateVal(database, 'volume.level')).to.equal(35);
+            expect(stateVal(database, 'playing.title')).to.equal('Pilot');
+            expect(stateVal(database, 'playing.seriesName')).to.equal('Mock Series');
+            expect(stateVal(database, 'playing.deviceState')).to.equal('playing');
+        });
+
+        it('follows state changes of the device', async () => {
+            const { database, backend } = ctx;
+            await backend.sendCommand('pause');
+            await backend.turnOff();
+            await flush();
+            expect(stateVal(database, 'playing.deviceState')).to.equal('paused');
+            expect(stateVal(database, 'power.state')).to.be.false;
+        });
+    });
+
+    describe('mute', () => {
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createManager({ volume: 70 });
+            await ctx.manager.createStateTree();
+            await ctx.manager.connect();
+            await flush();
+        });
+
+        afterEach(async () => {
+            await ctx.manager.disconnect();
+        });
+
+        it('restores the previous level on unmute', async () => {
+            const { manager, database } = ctx;
+            await manager.handleMute(true);
+            expect(stateVal(database, 'volume.level')).to.equal(0);
+
+            await manager.handleMute(false);
+            expect(stateVal(database, 'volume.level')).to.equal(70);
+            expect(stateVal(database, 'volume.mute')).to.be.false;
+        });
+
+        it('ignores unmute while not muted', async () => {
+            const { manager, backend, database } = ctx;
+            const setVolume = sinon.spy(backend, 'setVolume');
+            await manager.handleMute(false);
+
+            expect(setVolume.called).to.be.false;
+            expect(stateVal(database, 'volume.level')).to.equal(70);
+        });
+
+        it('takes the mute state over from before a restart', async () => {
+            const { adapter, database } = ctx;
+            database.publishState(NS + '.' + DEVICE_ID + '.volume.mute', { val: true, ack: true });
+            const deviceConfig = mockDeviceConfig();
+            const manager = new DeviceManager(adapter, DEVICE_ID, deviceConfig, new MockBackend(deviceConfig, adapter.log));
+            await manager.createStateTree();
+
+            expect(manager.muted).to.be.true;
+        });
+
+        it('restores the level from before the mute after a restart', async () => {
+            const { adapter, database, manager } = ctx;
+            await manager.handleMute(true);
+            await manager.disconnect();
+
+            const deviceConfig = mockDeviceConfig({ volume: 0 });
+            const backend = new MockBackend(deviceConfig, adapter.log);
+            const restarted = new DeviceManager(adapter, DEVICE_ID, deviceConfig, backend);
+            await restarted.createStateTree();
+            const setVolume = sinon.spy(backend, 'setVolume');
+            await restarted.handleMute(false);
+
+            expect(setVolume.calledOnceWith(70)).to.be.true;
+            expect(stateVal(database, 'volume.level')).to.equal(70);
+        });
+    });
+
+    describe('artwork', () => {
+        let clock;
+        let ctx;
+
+        beforeEach(async () => {
+            clock = sinon.useFakeTimers();
+            ctx = createManager();
+            await ctx.manager.createStateTree();
+        });
+
+        afterEach(async () => {
+            await ctx.manager.disconnect();
+            clock.restore();
+        });
+
+        it('leaves retries for missing artwork to the artwork timer', async () => {
+            const { manager, backend } = ctx;
+            const getArtwork = sinon.stub(backend, 'getArtwork').resolves(null);
+            await manager.connect();
+            await clock.tickAsync(0);
+            expect(getArtwork.callCount).to.equal(1);
+
+            // Position updates of the same item do not fetch again
+            await clock.tickAsync(5000);
+            await manager._refreshArtwork();
+            expect(getArtwork.callCount).to.equal(1);
+
+            await clock.tickAsync(30 * 1000);
+            expect(getArtwork.callCount).to.equal(2);
+        });
+
+        describe('publishing', () => {
+            const IMAGE_A = { data: Buffer.from('image-a'), mimetype: 'image/png' };
+            const IMAGE_B = { data: Buffer.from('image-b'), mimetype: 'image/jpeg' };
+
+            /** Make the given item the now-playing one and fetch its artwork */
+            async function show(manager, title) {
+                manager.lastPlaying = { deviceState: 'playing', appId: 'com.mock.app', title, artist: '', album: '' };
+                await manager._refreshArtwork();
+            }
+
+            it('publishes the artwork URL and base64 data', async () => {
+                const { manager, backend, database } = ctx;
+                sinon.stub(backend, 'getArtwork').resolves(IMAGE_B);
+                await show(manager, 'A');
+
+                expect(stateVal(database, 'playing.artworkUrl')).to.match(new RegExp('^/' + NS + '/' + DEVICE_ID + '/artwork\\.jpg\\?[0-9a-f]{8}$'));
+                expect(stateVal(database, 'playing.artworkBase64')).to.equal('data:image/jpeg;base64,' + IMAGE_B.data.toString('base64'));
+            });
+
+            it('does not republish identical artwork of a new item', async () => {
+                const { manager, backend, adapter } = ctx;
+                const getArtwork = sinon.stub(backend, 'getArtwork').resolves(IMAGE_A);
+                await show(manager, 'A');
+                await show(manager, 'A');
+                expect(getArtwork.callCount).to.equal(1);
+
+                await show(manager, 'B');
+                expect(getArtwork.callCount).to.equal(2);
+                expect(adapter.writeFileAsync.callCount).to.equal(1);
+            });
+
+            it('fetches the artwork again when an item returns after one without artwork', async () => {
+                const { manager, backend, database } = ctx;
+                sinon.stub(backend, 'getArtwork').callsFake(async () => (manager.lastPlaying.title === 'A' ? IMAGE_A : null));
+                await show(manager, 'A');
+                const url = stateVal(database, 'playing.artworkUrl');
+                expect(url).to.match(/artwork\.png\?/);
+
+                await show(manager, 'B');
+                expect(stateVal(database, 'playing.artworkUrl')).to.equal('');
+                expect(stateVal(database, 'playing.artworkBase64')).to.equal('');
+
+                await show(manager, 'A');
+                expect(stateVal(database, 'playing.artworkUrl')).to.equal(url);
+            });
+        });
+    });
+
+    describe('announcements', () => {
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createManager({ volume: 55 });
+            await ctx.manager.createStateTree();
+            await ctx.manager.connect();
+            await flush();
+        });
+
+        afterEach(async () => {
+            await ctx.manager.disconnect();
+        });
+
+        it('plays at the announcement volume and restores the previous level', async () => {
+            const { manager, backend } = ctx;
+            const setVolume = sinon.spy(backend, 'setVolume');
+            await manager.handleAnnouncement('http://192.0.2.1/gong.mp3', 80);
+
+            expect(setVolume.args.map(args => args[0])).to.deep.equal([80, 55]);
+        });
+
+        it('keeps the volume if the previous level is unknown', async () => {
+            const { manager, backend, database } = ctx;
+            database.deleteState(NS + '.' + DEVICE_ID + '.volume.level');
+            const setVolume = sinon.spy(backend, 'setVolume');
+            await manager.handleAnnouncement('http://192.0.2.1/gong.mp3', 80);
+
+            expect(setVolume.called).to.be.false;
+        });
+
+        it('restores the volume and resumes playback if the clip fails', async () => {
+            const { manager, backend, database } = ctx;
+            backend.setFailure('methods', ['playUrl']);
+            const setVolume = sinon.spy(backend, 'setVolume');
+            let error;
+            await manager.handleAnnouncement('http://192.0.2.1/gong.mp3', 80).catch(err => (error = err));
+            await flush();
+
+            expect(error).to.be.an('error');
+            expect(setVolume.args.map(args => args[0])).to.deep.equal([80, 55]);
+            expect(stateVal(database, 'playing.deviceState')).to.equal('playing');
+            expect(stateVal(database, 'audio.announce')).to.equal('');
+            expect(manager.announcing).to.be.false;
+        });
+
+        it('waits for the end of its own stream, not the one it replaced', async () => {
+            const { manager, backend } = ctx;
+            backend.streamDuration = 50;
+            const setVolume = sinon.spy(backend, 'setVolume');
+            const done = manager.handleAnnouncement('http://192.0.2.1/gong.mp3', 80);
+            await flush();
+            // Starting the clip cancels a previous stream
+            backend.simulatePush('playUrl', { state: 'stopped', url: 'http://192.0.2.1/radio.mp3', error: '' });
+            await flush();
+            expect(setVolume.args.map(args => args[0])).to.deep.equal([80]);
+
+            await done;
+            expect(setVolume.args.map(args => args[0])).to.deep.equal([80, 55]);
+        });
+
+        it('identifies streamed files by their path', async () => {
+            const { manager, backend } = ctx;
+            backend.streamDuration = 50;
+            const done = manager.handleAnnouncement('/tmp/gong.mp3');
+            await flush();
+            backend.simulatePush('streamFile', { state: 'stopped', path: '/tmp/other.mp3', error: '' });
+            await flush();
+            expect(manager.announcing).to.be.true;
+
+            await done;
+            expect(manager.announcing).to.be.false;
+        });
+    });
+
+    describe('reconnect', () => {
+        let clock;
+        let ctx;
+
+        beforeEach(async () => {
+            clock = sinon.useFakeTimers();
+            ctx = createManager();
+            await ctx.manager.createStateTree();
+            await ctx.manager.connect();
+            await clock.tickAsync(0);
+        });
+
+        afterEach(async () => {
+            await ctx.manager.disconnect();
+            clock.restore();
+        });
+
+        it('reconnects after the connection was lost', async () => {
+            const { manager, backend, database } = ctx;
+            backend.simulateDisconnect('process_exit');
+            await clock.tickAsync(0);
+            expect(manager.connected).to.be.false;
+            expect(stateVal(database, 'info.connected')).to.be.false;
+            expect(manager.reconnectTimer).to.not.be.null;
+
+            await clock.tickAsync(RECONNECT_BASE_DELAY + 1);
+            expect(manager.connected).to.be.true;
+            expect(manager.reconnectAttempts).to.equal(0);
+            expect(stateVal(database, 'info.connected')).to.be.true;
+        });
+
+        it('backs off exponentially and gives up after MAX_RECONNECT_ATTEMPTS', async () => {
+            const { manager, backend, adapter } = ctx;
+            backend.setFailure('unreachable', true);
+            backend.simulateDisconnect('process_exit');
+            await clock.tickAsync(0);
+
+            // Time between two scheduled attempts = delay of the earlier one
+            const delays = [];
+            const start = Date.now();
+            let last = start;
+            let attempts = manager.reconnectAttempts;
+            const gaveUp = () => adapter.log.error.calledWithMatch('Max reconnect attempts');
+            while (!gaveUp() && Date.now() - start < 24 * 3600 * 1000) {
+                await clock.tickAsync(1000);
+                if (manager.reconnectAttempts !== attempts) {
+                    delays.push(Date.now() - last);
+                    last = Date.now();
+                    attempts = manager.reconnectAttempts;
+                }
+            }
+
+            expect(delays).to.have.lengthOf(MAX_RECONNECT_ATTEMPTS - 1);
+            expect(delays[0]).to.be.at.least(RECONNECT_BASE_DELAY);
+            expect(delays[1]).to.be.greaterThan(delays[0]);
+            expect(delays[2]).to.be.greaterThan(delays[1]);
+            expect(manager.reconnectAttempts).to.equal(MAX_RECONNECT_ATTEMPTS);
+            expect(manager.reconnectTimer).to.be.null;
+            expect(gaveUp()).to.be.true;
+        });
+
+        it('resets the backoff only once the device delivers data', async () => {
+            const { manager, backend } = ctx;
+            // Push updates start, but fail asynchronously like a rejected pyatv connection
+            backend.setFailure('auth', true);
+            backend.simulateDisconnect('process_exit');
+            await clock.tickAsync(RECONNECT_BASE_DELAY + 1);
+            expect(manager.reconnectAttempts).to.equal(2);
+
+            backend.setFailure('auth', false);
+            await clock.tickAsync(RECONNECT_BASE_DELAY * 4);
+            expect(manager.connected).to.be.true;
+            expect(manager.reconnectAttempts).to.equal(0);
+        });
+
+        it('reconnects immediately when the device is seen again after giving up', async () => {
+            const { manager, backend } = ctx;
+            backend.setFailure('auth', true);
+            manager.reconnectAttempts = MAX_RECONNECT_ATTEMPTS;
+            backend.simulateDisconnect('auth_error');
+            await clock.tickAsync(0);
+            expect(manager.reconnectTimer).to.be.null;
+
+            backend.setFailure('auth', false);
+            await manager.handleDeviceSeen('192.0.2.10');
+            await clock.tickAsync(0);
+            expect(manager.connected).to.be.true;
+            expect(manager.reconnectAttempts).to.equal(0);
+        });
+
+        it('picks up a new IP address from an announcement', async () => {
+            const { manager, backend, database } = ctx;
+            const changed = await manager.handleDeviceSeen('192.0.2.99');
+            await clock.tickAsync(0);
+
+            expect(changed).to.be.true;
+            expect(backend.deviceConfig.address).to.equal('192.0.2.99');
+            expect(stateVal(database, 'info.address')).to.equal('192.0.2.99');
+            expect(stateVal(database, 'info.lastSeen')).to.be.a('number');
+        });
+    });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const { utils } = require('@iobroker/testing');
+const { ENCRYPTED_VALUE_PREFIX } = require('../../lib/constants');
+
+const CORE_PATH = require.resolve('@iobroker/adapter-core');
+const MAIN_PATH = require.resolve('../../main');
+
+/**
+ * Stand-in for @iobroker/adapter-core built on utils.unit.createMocks().
+ * Adapter returns the mock adapter with the prototype of the class that
+ * extends it, so the adapter's own methods run against the mocks.
+ * @param {function(object): void} onCreated - receives the mock database
+ */
+function mockAdapterCore(onCreated) {
+    function Adapter(options) {
+        const { adapter, database } = utils.unit.createMocks(options);
+        Object.setPrototypeOf(adapter, new.target.prototype);
+        // The mock only has the callback variant
+        adapter.delObjectAsync = (id, opts) => new Promise(resolve => adapter.delObject(id, opts, () => resolve()));
+        onCreated(database);
+        return adapter;
+    }
+    return {
+        Adapter,
+        adapter: Adapter,
+        getAbsoluteDefaultDataDir: () => path.join(os.tmpdir(), 'test-iobroker-data'),
+        getAbsoluteInstanceDataDir: adapter => path.join(os.tmpdir(), 'test-iobroker-data', adapter.namespace),
+    };
+}
+
+/**
+ * Create an AppleTvAdapter instance from main.js on top of the
+ * @iobroker/testing mocks. Uses the mock backend by default.
+ * @param {object} [config] - Adapter config (native)
+ * @returns {{adapter: object, database: import('@iobroker/testing').MockDatabase}}
+ */
+function createAdapter(config) {
+    let database;
+    require.cache[CORE_PATH] = {
+        id: CORE_PATH,
+        filename: CORE_PATH,
+        loaded: true,
+        exports: mockAdapterCore(db => (database = db)),
+    };
+    delete require.cache[MAIN_PATH];
+
+    const createInstance = require(MAIN_PATH);
+    const adapter = createInstance({ config: Object.assign({ backend: 'mock' }, config) });
+    // The mock adapter has no system secret: reversible stand-ins for adapter.encrypt()/decrypt()
+    adapter.encrypt = value => ENCRYPTED_VALUE_PREFIX + Buffer.from(value).toString('hex');
+    adapter.decrypt = value => Buffer.from(value.substring(ENCRYPTED_VALUE_PREFIX.length), 'hex').toString();
+    return { adapter, database };
+}
+
+/**
+ * Device config entry for one of the simulated devices.
+ * @param {object} [mock] - MockBackend options
+ */
+function mockDeviceConfig(mock) {
+    return {
+        name: 'Mock Living Room',
+        address: '192.0.2.10',
+        identifier: 'MOCK-LIVINGROOM',
+        mac: '02:00:00:00:00:10',
+        model: 'AppleTV11,1',
+        airplayCredentials: '',
+        companionCredentials: '',
+        mrpCredentials: '',
+        mock,
+    };
+}
+
+/**
+ * Let pending setImmediate callbacks and promise chains run.
+ */
+function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = { createAdapter, mockDeviceConfig, flush };
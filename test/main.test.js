@@ -0,0 +1,385 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { PAIRING_SESSION_TIMEOUT } = require('../lib/constants');
+const { createAdapter, mockDeviceConfig, flush } = require('./lib/harness');
+
+const NS = 'apple-tv.0';
+const DEVICE_ID = 'MOCK-LIVINGROOM';
+
+describe('main.js', () => {
+    let adapter;
+    let database;
+    let backend;
+
+    /**
+     * Write a state like a user would (ack=false) and run it through onStateChange.
+     */
+    async function userWrite(path, val) {
+        await adapter.onStateChange(NS + '.' + DEVICE_ID + '.' + path, { val, ack: false });
+    }
+
+    beforeEach(async () => {
+        const deviceConfig = mockDeviceConfig();
+        ({ adapter, database } = createAdapter({ autoDiscovery: false, devices: [deviceConfig] }));
+        await adapter._initDevice(deviceConfig);
+        await flush();
+        backend = adapter.devices.get(DEVICE_ID).backend;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => adapter.onUnload(resolve));
+    });
+
+    describe('onStateChange()', () => {
+        it('sends remote buttons as commands', async () => {
+            await userWrite('remote.menu', true);
+            await userWrite('remote.homeDoubleTap', true);
+            expect(backend.commandLog).to.deep.equal(['menu', 'homeDoubleTap']);
+        });
+
+        it('ignores acknowledged states', async () => {
+            await adapter.onStateChange(NS + '.' + DEVICE_ID + '.remote.menu', { val: true, ack: true });
+            expect(backend.commandLog).to.be.empty;
+        });
+
+        it('does not treat remote.keyboardFocused as a button', async () => {
+            await userWrite('remote.keyboardFocused', true);
+            expect(backend.commandLog).to.be.empty;
+        });
+
+        it('routes text input', async () => {
+            await userWrite('remote.text', 'Star');
+            await userWrite('remote.textAppend', ' Trek');
+            expect(backend.text).to.equal('Star Trek');
+            await userWrite('remote.textClear', true);
+            expect(backend.text).to.equal('');
+        });
+
+        it('routes swipes and taps', async () => {
+            await userWrite('remote.swipe', 'left');
+            await userWrite('remote.tap', true);
+            expect(backend.commandLog).to.have.lengthOf(2);
+            expect(backend.commandLog[0]).to.equal('swipe:800,500,200,500');
+            expect(backend.commandLog[1]).to.equal('tap');
+        });
+
+        it('switches power', async () => {
+            await userWrite('power.state', false);
+            expect(backend.power).to.be.false;
+            await userWrite('power.state', true);
+            expect(backend.power).to.be.true;
+        });
+
+        it('sets the volume and acknowledges it', async () => {
+            await userWrite('volume.level', 140);
+            expect(backend.volume).to.equal(100);
+            expect(database.getState(NS + '.' + DEVICE_ID + '.volume.level')).to.include({ val: 100, ack: true });
+        });
+
+        it('routes playback modes and rejects invalid ones', async () => {
+            await userWrite('playing.shuffle', 'songs');
+            expect(backend.shuffle).to.equal('songs');
+
+            await userWrite('playing.repeat', 'sometimes');
+            expect(backend.repeat).to.equal('off');
+            expect(adapter.log.error.calledWithMatch('Invalid repeat mode')).to.be.true;
+        });
+
+        it('seeks to an absolute position', async () => {
+            await userWrite('playing.position', 600);
+            const playing = await backend.getPlaying();
+            expect(playing.position).to.be.within(600, 601);
+        });
+
+        it('launches apps by bundle ID', async () => {
+            await userWrite('apps.launch', 'com.netflix.Netflix');
+            expect(backend.currentApp).to.equal('com.netflix.Netflix');
+        });
+
+        it('adds output devices', async () => {
+            await userWrite('outputs.add', 'MOCK-HOMEPOD');
+            expect(backend.outputs.map(o => o.identifier)).to.deep.equal(['MOCK-LIVINGROOM', 'MOCK-HOMEPOD']);
+        });
+
+        it('creates output device states by identifier and removes them when the output leaves', async () => {
+            const outputs = NS + '.' + DEVICE_ID + '.outputs.devices.';
+            await userWrite('outputs.add', 'MOCK-HOMEPOD');
+            await flush();
+            expect(database.getObject(outputs + 'MOCK-HOMEPOD')).to.deep.include({ common: { name: 'Mock HomePod' } });
+            expect(database.getState(outputs + 'MOCK-HOMEPOD.volume')).to.include({ val: 40 });
+
+            await adapter.onStateChange(outputs + 'MOCK-HOMEPOD.volume', { val: 25, ack: false });
+            expect(backend.outputs.find(o => o.identifier === 'MOCK-HOMEPOD').volume).to.equal(25);
+
+            await userWrite('outputs.remove', 'MOCK-HOMEPOD');
+            await flush();
+            expect(database.getObject(outputs + 'MOCK-HOMEPOD')).to.be.undefined;
+            expect(database.getObject(outputs + 'MOCK-HOMEPOD.volume')).to.be.undefined;
+            expect(database.getObject(outputs + 'MOCK-LIVINGROOM')).to.exist;
+        });
+
+        it('switches accounts by name', async () => {
+            backend.accounts.push({ name: 'Guest', id: 'mock-guest' });
+            await userWrite('accounts.switch', 'guest');
+            expect(backend.currentAccount).to.equal('mock-guest');
+        });
+
+        it('logs backend errors instead of throwing', async () => {
+            backend.setFailure('methods', ['sendCommand']);
+            await userWrite('remote.select', true);
+            expect(adapter.log.error.calledWithMatch('Error handling remote.select')).to.be.true;
+        });
+
+        it('warns about unknown devices', async () => {
+            await adapter.onStateChange(NS + '.UNKNOWN.remote.menu', { val: true, ack: false });
+            expect(adapter.log.warn.calledWithMatch('unknown device')).to.be.true;
+            expect(backend.commandLog).to.be.empty;
+        });
+    });
+
+    describe('pairing', () => {
+        function message(command, message) {
+            return adapter.onMessage({ command, message, from: 'system.adapter.admin.0', callback: { id: 1 } });
+        }
+
+        function lastResponse() {
+            return adapter.sendTo.lastCall.args[2];
+        }
+
+        it('walks through all protocols the device announces', async () => {
+            await message('startPairing', { identifier: DEVICE_ID });
+            expect(lastResponse()).to.include({ status: 'awaitingPin', protocol: 'airplay', step: 1, steps: 2 });
+
+            await message('submitPin', { identifier: DEVICE_ID, pin: '1234' });
+            expect(lastResponse()).to.include({ status: 'awaitingPin', protocol: 'companion', step: 2, steps: 2 });
+            expect(lastResponse().paired).to.deep.equal(['airplay']);
+
+            await message('submitPin', { identifier: DEVICE_ID, pin: '1234' });
+            expect(lastResponse()).to.deep.include({
+                status: 'paired',
+                paired: ['airplay', 'companion'],
+                credentials: { airplay: 'mock-airplay-credentials', companion: 'mock-companion-credentials' },
+            });
+            expect(adapter._pairingSessions.size).to.equal(0);
+
+            await flush();
+            expect(database.getState(NS + '.' + DEVICE_ID + '.info.pairedAirplay')).to.include({ val: true });
+            expect(database.getState(NS + '.' + DEVICE_ID + '.info.pairedCompanion')).to.include({ val: true });
+        });
+
+        it('reinitializes the device once at the end of the session', async () => {
+            const initDevice = sinon.spy(adapter, '_initDevice');
+            await message('startPairing', { identifier: DEVICE_ID });
+            await message('submitPin', { identifier: DEVICE_ID, pin: '1234' });
+            expect(initDevice.called).to.be.false;
+
+            await message('submitPin', { identifier: DEVICE_ID, pin: '1234' });
+            expect(initDevice.calledOnce).to.be.true;
+        });
+
+        it('pairs a single requested protocol', async () => {
+            await message('startPairing', { identifier: DEVICE_ID, protocol: 'companion' });
+            expect(lastResponse()).to.include({ status: 'awaitingPin', protocol: 'companion', step: 1, steps: 1 });
+
+            await message('submitPin', { identifier: DEVICE_ID, pin: '1234' });
+            expect(lastResponse()).to.deep.include({ status: 'paired', credentials: { companion: 'mock-companion-credentials' } });
+            expect(adapter.config.devices[0].companionCredentials).to.equal('mock-companion-credentials');
+            expect(adapter.config.devices[0].airplayCredentials).to.equal('');
+        });
+
+        it('ends the session on a wrong PIN', async () => {
+            await message('startPairing', { identifier: DEVICE_ID, protocol: 'airplay' });
+            await message('submitPin', { identifier: DEVICE_ID, pin: '0000' });
+            expect(lastResponse()).to.have.property('error').that.matches(/Start pairing again/);
+            expect(adapter._pairingSessions.size).to.equal(0);
+        });
+
+        it('expires sessions that wait too long for the PIN', async () => {
+            const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+            try {
+                await message('startPairing', { identifier: DEVICE_ID, protocol: 'airplay' });
+                const session = adapter._pairingSessions.get(DEVICE_ID);
+                const abort = sinon.spy(session.backend, 'pairAbort');
+
+                clock.tick(PAIRING_SESSION_TIMEOUT);
+                expect(adapter._pairingSessions.size).to.equal(0);
+                expect(abort.calledOnce).to.be.true;
+            } finally {
+                clock.restore();
+            }
+        });
+
+        it('does not expire a session while its PIN is being checked', async () => {
+            const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+            try {
+                await message('startPairing', { identifier: DEVICE_ID, protocol: 'airplay' });
+                const backend = adapter._pairingSessions.get(DEVICE_ID).backend;
+                const pairFinish = backend.pairFinish.bind(backend);
+                sinon.stub(backend, 'pairFinish').callsFake((pin) => {
+                    clock.tick(PAIRING_SESSION_TIMEOUT);
+                    return pairFinish(pin);
+                });
+
+                await message('submitPin', { identifier: DEVICE_ID, pin: '1234' });
+                expect(lastResponse()).to.include({ status: 'paired' });
+            } finally {
+                clock.restore();
+            }
+        });
+
+        it('pairs through the instance-level pairing states', async () => {
+            const write = (name, val) => adapter.onStateChange(NS + '.pairing.' + name, { val, ack: false });
+            const pairingState = name => (database.getState(NS + '.pairing.' + name) || {}).val;
+
+            await write('identifier', DEVICE_ID);
+            await write('protocol', 'auto');
+            await write('start', true);
+            expect(pairingState('status')).to.equal('awaitingPin');
+            expect(pairingState('message')).to.match(/AirPlay \(step 1 of 2\)/);
+
+            await write('pin', '12');
+            expect(pairingState('status')).to.equal('awaitingPin');
+            expect(pairingState('message')).to.match(/4 digits/);
+
+            await write('pin', '1234');
+            expect(pairingState('pin')).to.equal('');
+            expect(pairingState('message')).to.match(/Companion \(step 2 of 2\)/);
+
+            await write('pin', '1234');
+            expect(pairingState('status')).to.equal('paired');
+            expect(adapter.config.devices[0]).to.include({
+                airplayCredentials: 'mock-airplay-credentials',
+                companionCredentials: 'mock-companion-credentials',
+            });
+        });
+
+        it('starts pairing only when pairing.start is set to true', async () => {
+            await adapter.onStateChange(NS + '.pairing.start', { val: false, ack: false });
+            expect(adapter._pairingSessions.size).to.equal(0);
+        });
+
+        it('passes pairing.pin to the session of the device in pairing.identifier', async () => {
+            const kitchen = Object.assign(mockDeviceConfig(), { name: 'Mock Kitchen', identifier: 'MOCK-KITCHEN', address: '192.0.2.11' });
+            adapter.config.devices.push(kitchen);
+            await message('startPairing', { identifier: DEVICE_ID, protocol: 'airplay' });
+            await message('startPairing', { identifier: 'MOCK-KITCHEN', protocol: 'airplay' });
+
+            await adapter.onStateChange(NS + '.pairing.identifier', { val: 'MOCK-KITCHEN', ack: false });
+            await adapter.onStateChange(NS + '.pairing.pin', { val: '1234', ack: false });
+
+            expect(kitchen.airplayCredentials).to.equal('mock-airplay-credentials');
+            expect(adapter.config.devices[0].airplayCredentials).to.equal('');
+            expect(adapter._pairingSessions.has(DEVICE_ID)).to.be.true;
+        });
+
+        it('aborts through pairing.abort', async () => {
+            await adapter.onStateChange(NS + '.pairing.start', { val: true, ack: false });
+            expect(adapter._pairingSessions.has(DEVICE_ID)).to.be.true;
+
+            await adapter.onStateChange(NS + '.pairing.abort', { val: true, ack: false });
+            expect(adapter._pairingSessions.size).to.equal(0);
+            expect(database.getState(NS + '.pairing.status')).to.include({ val: 'aborted' });
+        });
+
+        it('pairs MRP for node-appletv-x devices', async () => {
+            adapter.config.devices[0].backend = 'node-appletv-x';
+            const session = await adapter._createPairingSession(DEVICE_ID, { identifier: DEVICE_ID, protocol: 'airplay' });
+            expect(session.protocols).to.deep.equal(['mrp']);
+            adapter._endPairingSession(DEVICE_ID);
+        });
+    });
+
+    describe('credentials', () => {
+        let other;
+
+        afterEach(async () => {
+            if (other) await new Promise(resolve => other.adapter.onUnload(resolve));
+            other = null;
+        });
+
+        function savedNative(db) {
+            return db.getObject('system.adapter.' + NS).native;
+        }
+
+        it('saves pairing credentials encrypted and keeps them decrypted in memory', async () => {
+            database.publishObject({ _id: 'system.adapter.' + NS, type: 'instance', common: {}, native: {} });
+            await adapter._storePairCredentials(DEVICE_ID, 'companion', 'secret-credentials');
+            await adapter._reinitPairedDevice(DEVICE_ID);
+            expect(adapter.config.devices[0].companionCredentials).to.equal('secret-credentials');
+
+            const saved = savedNative(database).devices[0];
+            expect(saved.companionCredentials).to.not.equal('secret-credentials');
+            expect(adapter.decrypt(saved.companionCredentials)).to.equal('secret-credentials');
+            expect(adapter.devices.get(DEVICE_ID).backend.deviceConfig.credentials.companion).to.equal('secret-credentials');
+        });
+
+        it('migrates plain-text credentials and streaming passwords', async () => {
+            const deviceConfig = Object.assign(mockDeviceConfig(), { airplayCredentials: 'plain-airplay' });
+            other = createAdapter({
+                autoDiscovery: false,
+                devices: [deviceConfig],
+                streaming: { waipuEnabled: true, waipuUsername: 'user', waipuPassword: 'plain-password' },
+            });
+            other.database.publishObject({ _id: 'system.adapter.' + NS, type: 'instance', common: {}, native: {} });
+            await other.adapter._migrateCredentials();
+
+            expect(other.adapter.config.devices[0].airplayCredentials).to.equal('plain-airplay');
+            expect(other.adapter.config.waipuPassword).to.equal('plain-password');
+
+            const native = savedNative(other.database);
+            expect(other.adapter.decrypt(native.devices[0].airplayCredentials)).to.equal('plain-airplay');
+            expect(other.adapter.decrypt(native.waipuPassword)).to.equal('plain-password');
+            expect(native.streaming).to.include({ waipuUsername: 'user', waipuPassword: '' });
+        });
+
+        it('decrypts stored credentials without rewriting the config', async () => {
+            other = createAdapter({ autoDiscovery: false });
+            const encrypted = other.adapter.encrypt('stored-mrp');
+            other.adapter.config.devices = [Object.assign(mockDeviceConfig(), { mrpCredentials: encrypted })];
+            await other.adapter._migrateCredentials();
+
+            expect(other.adapter.config.devices[0].mrpCredentials).to.equal('stored-mrp');
+            expect(other.database.getObject('system.adapter.' + NS)).to.be.undefined;
+        });
+    });
+
+    describe('per-device backends', () => {
+        let mixed;
+
+        afterEach(async () => {
+            await new Promise(resolve => mixed.onUnload(resolve));
+        });
+
+        it('uses the backend of the device entry over the instance default', async () => {
+            const deviceConfig = Object.assign(mockDeviceConfig(), { backend: 'mock' });
+            ({ adapter: mixed } = createAdapter({ backend: 'pyatv', autoDiscovery: false, devices: [deviceConfig] }));
+            expect(mixed._needsPyatv()).to.be.false;
+
+            await mixed._initDevice(deviceConfig);
+            await flush();
+            expect(mixed.devices.get(DEVICE_ID).backend.constructor.name).to.equal('MockBackend');
+        });
+
+        it('needs pyatv as soon as one device or the discovery default uses it', () => {
+            const deviceConfig = mockDeviceConfig();
+            ({ adapter: mixed } = createAdapter({ backend: 'pyatv', autoDiscovery: false, devices: [deviceConfig] }));
+            expect(mixed._needsPyatv()).to.be.true;
+
+            mixed.config.devices = [Object.assign(deviceConfig, { backend: 'node-appletv-x' })];
+            expect(mixed._needsPyatv()).to.be.false;
+            mixed.config.autoDiscovery = true;
+            expect(mixed._needsPyatv()).to.be.true;
+        });
+
+        it('skips pyatv devices when pyatv is not available', async () => {
+            const deviceConfig = Object.assign(mockDeviceConfig(), { backend: 'pyatv' });
+            ({ adapter: mixed } = createAdapter({ autoDiscovery: false, devices: [deviceConfig] }));
+
+            await mixed._initDevice(deviceConfig);
+            expect(mixed.devices.size).to.equal(0);
+            expect(mixed.log.warn.calledWithMatch('pyatv is not available')).to.be.true;
+        });
+    });
+});
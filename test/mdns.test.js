@@ -0,0 +1,129 @@
+'use strict';
+
+const { expect } = require('chai');
+const dgram = require('dgram');
+const { utils } = require('@iobroker/testing');
+const { TYPE, FLAG_RESPONSE, decodePacket, encodePacket } = require('../lib/discovery/dns-packet');
+const { MdnsBrowser, ServiceCache } = require('../lib/discovery/mdns-browser');
+
+/** Records of an Apple TV 4K as announced via DNS-SD */
+function appleTvRecords(ttl) {
+    return {
+        answers: [
+            { name: '_airplay._tcp.local', type: TYPE.PTR, ttl, data: 'Living Room._airplay._tcp.local' },
+            { name: '_companion-link._tcp.local', type: TYPE.PTR, ttl, data: 'Living Room._companion-link._tcp.local' },
+            { name: '_raop._tcp.local', type: TYPE.PTR, ttl, data: 'AABBCCDDEEFF@Living Room._raop._tcp.local' },
+        ],
+        additionals: [
+            { name: 'Living Room._airplay._tcp.local', type: TYPE.SRV, ttl, data: { port: 7000, target: 'Living-Room.local' } },
+            {
+                name: 'Living Room._airplay._tcp.local', type: TYPE.TXT, ttl,
+                data: { deviceid: 'AA:BB:CC:DD:EE:FF', model: 'AppleTV11,1', osvers: '17.1' },
+            },
+            { name: 'Living Room._companion-link._tcp.local', type: TYPE.SRV, ttl, data: { port: 49153, target: 'Living-Room.local' } },
+            { name: 'Living Room._companion-link._tcp.local', type: TYPE.TXT, ttl, data: { rpMd: 'AppleTV11,1', rpMRtID: 'C0FFEE00-1234' } },
+            { name: 'AABBCCDDEEFF@Living Room._raop._tcp.local', type: TYPE.SRV, ttl, data: { port: 7000, target: 'Living-Room.local' } },
+            { name: 'Living-Room.local', type: TYPE.AAAA, ttl, data: 'fe80::1' },
+            { name: 'Living-Room.local', type: TYPE.A, ttl, flush: true, data: '192.0.2.10' },
+        ],
+    };
+}
+
+describe('mDNS discovery', () => {
+    const { adapter } = utils.unit.createMocks({});
+
+    describe('dns-packet', () => {
+        it('round-trips questions and records', () => {
+            const packet = decodePacket(encodePacket(Object.assign({
+                flags: FLAG_RESPONSE,
+                questions: [{ name: '_airplay._tcp.local', type: TYPE.PTR }],
+            }, appleTvRecords(120))));
+
+            expect(packet.questions).to.deep.equal([{ name: '_airplay._tcp.local', type: TYPE.PTR, class: 1 }]);
+            expect(packet.answers[0]).to.include({ name: '_airplay._tcp.local', data: 'Living Room._airplay._tcp.local', ttl: 120 });
+            expect(packet.additionals[1].data).to.deep.equal({ deviceid: 'AA:BB:CC:DD:EE:FF', model: 'AppleTV11,1', osvers: '17.1' });
+            expect(packet.additionals[5].data).to.equal('fe80::1');
+            expect(packet.additionals[6]).to.include({ data: '192.0.2.10', flush: true });
+        });
+
+        it('follows name compression pointers', () => {
+            // Header + question "a.local" + answer whose name points back to offset 12
+            const buf = Buffer.concat([
+                Buffer.from([0, 0, 0x84, 0, 0, 1, 0, 1, 0, 0, 0, 0]),
+                Buffer.from([1, 0x61, 5, 0x6c, 0x6f, 0x63, 0x61, 0x6c, 0, 0, 1, 0, 1]),
+                Buffer.from([0xc0, 12, 0, 1, 0, 1, 0, 0, 0, 120, 0, 4, 10, 0, 0, 1]),
+            ]);
+            const packet = decodePacket(buf);
+            expect(packet.answers[0]).to.include({ name: 'a.local', type: TYPE.A, data: '10.0.0.1' });
+        });
+    });
+
+    describe('ServiceCache', () => {
+        it('groups the services of a host into one device', () => {
+            const cache = new ServiceCache();
+            cache.add(decodePacket(encodePacket(appleTvRecords(120))));
+
+            const devices = cache.devices();
+            expect(devices).to.have.lengthOf(1);
+            expect(devices[0]).to.deep.include({
+                name: 'Living Room',
+                address: '192.0.2.10',
+                identifier: 'AA:BB:CC:DD:EE:FF',
+                mac: 'AA:BB:CC:DD:EE:FF',
+                model: 'AppleTV11,1',
+                modelStr: 'Apple TV 4K (gen 2)',
+                os: 'TvOS',
+                osVersion: '17.1',
+            });
+            expect(devices[0].services.map(s => s.protocol)).to.have.members(['airplay', 'companion', 'raop']);
+        });
+
+        it('orders the identifiers like pyatv (MRP, AirPlay, RAOP, Companion)', () => {
+            const cache = new ServiceCache();
+            cache.add(decodePacket(encodePacket(appleTvRecords(120))));
+            expect(cache.devices()[0].allIdentifiers).to.deep.equal(['AA:BB:CC:DD:EE:FF', 'AABBCCDDEEFF', 'C0FFEE00-1234']);
+        });
+
+        it('removes devices on goodbye packets', () => {
+            const cache = new ServiceCache();
+            cache.add(decodePacket(encodePacket(appleTvRecords(120))));
+            cache.add(decodePacket(encodePacket(appleTvRecords(0))));
+            expect(cache.devices()).to.be.empty;
+        });
+
+        it('replaces the address on cache-flush records', () => {
+            const cache = new ServiceCache();
+            cache.add(decodePacket(encodePacket(appleTvRecords(120))));
+            cache.addRecord({ name: 'Living-Room.local', type: TYPE.A, ttl: 120, flush: true, data: '192.0.2.20' });
+            expect(cache.devices()[0].address).to.equal('192.0.2.20');
+        });
+    });
+
+    describe('MdnsBrowser', () => {
+        let responder;
+
+        beforeEach(done => {
+            // Fake responder: answers PTR queries with unicast replies like a legacy unicast responder
+            responder = dgram.createSocket('udp4');
+            responder.on('message', (msg, rinfo) => {
+                const query = decodePacket(msg);
+                if (!query.questions.some(q => q.type === TYPE.PTR && q.name === '_airplay._tcp.local')) return;
+                const reply = Object.assign({ id: query.id, flags: FLAG_RESPONSE }, appleTvRecords(120));
+                responder.send(encodePacket(reply), rinfo.port, rinfo.address);
+            });
+            responder.bind(0, '127.0.0.1', done);
+        });
+
+        afterEach(() => {
+            responder.close();
+        });
+
+        it('discovers devices from a responder', async () => {
+            const browser = new MdnsBrowser(adapter.log, { address: '127.0.0.1', port: responder.address().port });
+            const devices = await browser.browse(300);
+
+            expect(devices).to.have.lengthOf(1);
+            expect(devices[0]).to.include({ name: 'Living Room', address: '192.0.2.10', identifier: 'AA:BB:CC:DD:EE:FF' });
+        });
+    });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { utils } = require('@iobroker/testing');
+const { BackendFactory } = require('../lib/backend/backend-factory');
+const { MockBackend, MOCK_DEVICES } = require('../lib/backend/mock');
+
+const TIMELINE = [
+    { title: 'First', duration: 60, appId: 'com.apple.TVMusic' },
+    { title: 'Second', duration: 30, appId: 'com.apple.TVMusic' },
+];
+
+describe('MockBackend', () => {
+    const { adapter } = utils.unit.createMocks({});
+
+    function create(mock) {
+        return new MockBackend({ identifier: 'MOCK-TEST', mock }, adapter.log);
+    }
+
+    it('is created by the BackendFactory', () => {
+        const backend = new BackendFactory('mock', adapter.log).create({});
+        expect(backend).to.be.an.instanceOf(MockBackend);
+    });
+
+    it('reports the simulated devices on scan', async () => {
+        const devices = await create().scan();
+        expect(devices.map(d => d.identifier)).to.deep.equal(MOCK_DEVICES.map(d => d.identifier));
+    });
+
+    describe('timeline', () => {
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('plays the items one after another and goes idle at the end', async () => {
+            const backend = create({ timeline: TIMELINE });
+            expect(await backend.getPlaying()).to.include({ title: 'First', position: 0, deviceState: 'playing' });
+
+            clock.tick(45 * 1000);
+            expect(await backend.getPlaying()).to.include({ title: 'First', position: 45 });
+
+            clock.tick(30 * 1000);
+            expect(await backend.getPlaying()).to.include({ title: 'Second', position: 15 });
+
+            clock.tick(60 * 1000);
+            expect(await backend.getPlaying()).to.include({ title: '', deviceState: 'idle' });
+        });
+
+        it('pushes the next item when the current one ends', async () => {
+            const backend = create({ timeline: TIMELINE });
+            const events = [];
+            const handle = backend.startPushUpdates(event => events.push(event));
+            await clock.tickAsync(0);
+            expect(events.map(e => e.type)).to.include.members(['power', 'volume', 'outputs', 'playing']);
+
+            events.length = 0;
+            await clock.tickAsync(60 * 1000);
+            expect(events.filter(e => e.type === 'playing').map(e => e.data.title)).to.deep.equal(['Second']);
+            handle.stop();
+        });
+
+        it('does not advance while paused', async () => {
+            const backend = create({ timeline: TIMELINE });
+            await backend.sendCommand('pause');
+            clock.tick(120 * 1000);
+            expect(await backend.getPlaying()).to.include({ title: 'First', position: 0, deviceState: 'paused' });
+        });
+    });
+
+    describe('failures', () => {
+        it('rejects all calls while unreachable', async () => {
+            const backend = create({ failures: { unreachable: true } });
+            let error;
+            await backend.getPlaying().catch(err => (error = err));
+            expect(error).to.be.an('error').with.property('message').that.matches(/unreachable/);
+            expect(await backend.isReachable()).to.be.false;
+        });
+
+        it('reports authentication errors as connection loss on push start', async () => {
+            const backend = create({ failures: { auth: true } });
+            const event = await new Promise(resolve => backend.startPushUpdates(resolve));
+            expect(event).to.deep.equal({ type: 'connection', data: { connected: false, reason: 'auth_error' } });
+        });
+
+        it('fails single methods', async () => {
+            const backend = create({ failures: { methods: ['launchApp'] } });
+            let error;
+            await backend.launchApp('com.apple.TVMusic').catch(err => (error = err));
+            expect(error).to.be.an('error');
+            await backend.sendCommand('menu');
+            expect(backend.commandLog).to.deep.equal(['menu']);
+        });
+
+        it('pairs only with the configured PIN', async () => {
+            const backend = create({ pin: '4711' });
+            await backend.pairStart('airplay');
+            let error;
+            await backend.pairFinish('0000').catch(err => (error = err));
+            expect(error).to.be.an('error');
+
+            expect(await backend.pairStart('companion')).to.deep.equal({ status: 'awaitingPin' });
+            expect(await backend.pairFinish('4711')).to.deep.equal({ status: 'paired', credentials: 'mock-companion-credentials' });
+        });
+    });
+});
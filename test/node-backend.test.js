@@ -0,0 +1,92 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { utils } = require('@iobroker/testing');
+const { NodeBackend } = require('../lib/backend/node-appletv');
+const { DeviceManager } = require('../lib/device-manager');
+
+/**
+ * Stand-in for the node-appletv-x module: one device whose pair()
+ * resolves to a PIN callback like the real library.
+ */
+function fakeLibrary(expectedPin) {
+    const device = {
+        credentials: { toString: () => 'mrp-credentials' },
+        openConnection: sinon.stub().resolves(),
+        closeConnection: sinon.stub(),
+        pair: sinon.stub().callsFake(async () => async (pin) => {
+            if (pin !== expectedPin) throw new Error('Wrong PIN');
+            return device;
+        }),
+    };
+    return { device, scan: sinon.stub().resolves([device]) };
+}
+
+describe('NodeBackend pairing', () => {
+    const { adapter } = utils.unit.createMocks({});
+    let backend;
+    let library;
+
+    beforeEach(() => {
+        backend = new NodeBackend({ identifier: 'NODE-ATV', credentials: {} }, adapter.log);
+        library = fakeLibrary('1234');
+        backend.appletv = library;
+    });
+
+    it('pairs MRP in two steps and returns the credentials', async () => {
+        expect(await backend.pairStart('mrp')).to.deep.equal({ status: 'awaitingPin' });
+        expect(library.scan.calledWith('NODE-ATV')).to.be.true;
+        expect(library.device.openConnection.calledOnce).to.be.true;
+
+        expect(await backend.pairFinish('1234')).to.deep.equal({ status: 'paired', credentials: 'mrp-credentials' });
+        expect(library.device.closeConnection.calledOnce).to.be.true;
+    });
+
+    it('rejects a wrong PIN and requires a new start', async () => {
+        await backend.pairStart('mrp');
+        let error;
+        await backend.pairFinish('0000').catch(err => (error = err));
+        expect(error).to.be.an('error').with.property('message').that.matches(/Wrong PIN/);
+
+        error = null;
+        await backend.pairFinish('1234').catch(err => (error = err));
+        expect(error).to.be.an('error').with.property('message').that.matches(/Start pairing first/);
+    });
+
+    it('only supports MRP', async () => {
+        let error;
+        await backend.pairStart('airplay').catch(err => (error = err));
+        expect(error).to.be.an('error').with.property('message').that.matches(/only supports MRP/);
+        expect(library.scan.called).to.be.false;
+    });
+});
+
+describe('NodeBackend state tree', () => {
+    it('creates only the remote buttons node-appletv-x can send', async () => {
+        const { database, adapter } = utils.unit.createMocks({ name: 'apple-tv' });
+        const deviceConfig = { name: 'Node ATV', identifier: 'NODE-ATV', credentials: {} };
+        const manager = new DeviceManager(adapter, 'NODE-ATV', deviceConfig, new NodeBackend(deviceConfig, adapter.log));
+        await manager.createStateTree();
+
+        const remote = 'apple-tv.0.NODE-ATV.remote.';
+        expect(database.getObject(remote + 'up')).to.exist;
+        expect(database.getObject(remote + 'homeHold')).to.exist;
+        expect(database.getObject(remote + 'upHold')).to.be.undefined;
+        expect(database.getObject(remote + 'menuDoubleTap')).to.be.undefined;
+        expect(manager.skippedStates.has('remote.selectHold')).to.be.true;
+        expect(database.getObject('apple-tv.0.NODE-ATV.playing.rate')).to.exist;
+    });
+});
+
+describe('NodeBackend unsupported features', () => {
+    it('rejects text input instead of pretending to send it', async () => {
+        const { adapter } = utils.unit.createMocks({});
+        const backend = new NodeBackend({ identifier: 'NODE-ATV', credentials: {} }, adapter.log);
+        for (const call of [() => backend.setText('Star'), () => backend.appendText(' Trek'), () => backend.clearText()]) {
+            let error;
+            await call().catch(err => (error = err));
+            expect(error).to.be.an('error').with.property('message').that.matches(/not supported by node-appletv-x/);
+        }
+    });
+});
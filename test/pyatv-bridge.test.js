@@ -0,0 +1,112 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const childProcess = require('child_process');
+const { EventEmitter } = require('events');
+const { utils } = require('@iobroker/testing');
+const { flush } = require('./lib/harness');
+
+const BRIDGE_PATH = require.resolve('../lib/backend/pyatv-bridge');
+
+/**
+ * Stand-in for the spawned pyatv-bridge.py process. Lines written to stdin
+ * are collected as parsed requests, reply() answers on stdout.
+ */
+function fakeProcess() {
+    const proc = new EventEmitter();
+    proc.requests = [];
+    proc.exitCode = null;
+    proc.killed = false;
+    proc.stdin = {
+        write: line => proc.requests.push(JSON.parse(line)),
+        end: sinon.spy(),
+    };
+    proc.stdout = new EventEmitter();
+    proc.stderr = new EventEmitter();
+    proc.kill = sinon.spy();
+    proc.reply = message => proc.stdout.emit('data', Buffer.from(JSON.stringify(message) + '\n'));
+    return proc;
+}
+
+describe('PyatvBridge', () => {
+    const { adapter } = utils.unit.createMocks({});
+    let PyatvBridge;
+    let proc;
+    let bridge;
+
+    beforeEach(async () => {
+        proc = fakeProcess();
+        sinon.stub(childProcess, 'spawn').returns(proc);
+        // Load the bridge with the stubbed spawn
+        delete require.cache[BRIDGE_PATH];
+        ({ PyatvBridge } = require(BRIDGE_PATH));
+
+        bridge = new PyatvBridge('python3', ['--id', 'ATV'], adapter.log);
+        const started = bridge.start();
+        proc.reply({ ready: true });
+        await started;
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        delete require.cache[BRIDGE_PATH];
+    });
+
+    it('matches responses to their requests by id', async () => {
+        const playing = bridge.request('playing');
+        const power = bridge.request('power_state');
+        await flush();
+        expect(proc.requests.map(r => r.cmd)).to.deep.equal(['playing', 'power_state']);
+
+        // Answered in reverse order, with a push update in between
+        const push = sinon.spy();
+        bridge.on('push', push);
+        proc.reply({ id: proc.requests[1].id, result: 'success', data: { power_state: 'on' } });
+        proc.reply({ result: 'success', power_state: 'off' });
+        proc.reply({ id: proc.requests[0].id, result: 'success', data: { title: 'Pilot' } });
+
+        expect(await playing).to.deep.equal({ title: 'Pilot' });
+        expect(await power).to.deep.equal({ power_state: 'on' });
+        expect(push.calledOnceWith({ result: 'success', power_state: 'off' })).to.be.true;
+    });
+
+    it('rejects failed requests with the bridge error', async () => {
+        const request = bridge.request('turn_on');
+        await flush();
+        proc.reply({ id: proc.requests[0].id, result: 'failure', error: 'not supported' });
+
+        let error;
+        await request.catch(err => (error = err));
+        expect(error).to.be.an('error').with.property('message', 'pyatv error: not supported');
+    });
+
+    it('times out single requests and ignores their late responses', async () => {
+        const clock = sinon.useFakeTimers();
+        let error;
+        const slow = bridge.request('artwork', {}, 5000).catch(err => (error = err));
+        const other = bridge.request('playing');
+        await clock.tickAsync(5000);
+        await slow;
+        expect(error).to.be.an('error').with.property('message').that.matches(/"artwork" timed out/);
+
+        proc.reply({ id: proc.requests[0].id, result: 'success', data: {} });
+        proc.reply({ id: proc.requests[1].id, result: 'success', data: { title: 'Pilot' } });
+        expect(await other).to.deep.equal({ title: 'Pilot' });
+        clock.restore();
+    });
+
+    it('rejects pending requests when the process exits', async () => {
+        const exit = sinon.spy();
+        bridge.on('exit', exit);
+        const requests = [bridge.request('playing'), bridge.request('volume')].map(p => p.catch(err => err));
+        await flush();
+        proc.emit('exit', 1);
+
+        for (const error of await Promise.all(requests)) {
+            expect(error).to.be.an('error').with.property('message', 'pyatv bridge exited (code 1)');
+        }
+        expect(exit.calledOnceWith(1)).to.be.true;
+        expect(bridge.running).to.be.false;
+    });
+});
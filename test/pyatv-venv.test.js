@@ -0,0 +1,75 @@
+'use strict';
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { utils } = require('@iobroker/testing');
+const { PyatvBackend } = require('../lib/backend/pyatv');
+const { compareVersions, pyatvRequirement } = require('../lib/backend/pyatv-venv');
+const { PYATV_MIN_VERSION } = require('../lib/constants');
+
+/**
+ * Lay out a fake venv: bin/python prints the given version for the
+ * version query, bin/atvscript points to it in its shebang like pip does.
+ */
+function createFakeVenv(dir, version) {
+    const bin = path.join(dir, 'bin');
+    fs.mkdirSync(bin, { recursive: true });
+    fs.writeFileSync(path.join(bin, 'python'), '#!/bin/sh\necho ' + version + '\n', { mode: 0o755 });
+    fs.writeFileSync(path.join(bin, 'atvscript'), '#!' + path.join(bin, 'python') + '\n', { mode: 0o755 });
+    fs.writeFileSync(path.join(bin, 'atvremote'), '#!' + path.join(bin, 'python') + '\n', { mode: 0o755 });
+}
+
+describe('pyatv environment', () => {
+    const { adapter } = utils.unit.createMocks({});
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apple-tv-venv-'));
+    });
+
+    afterEach(() => {
+        PyatvBackend.setVenvDir(null);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('compares versions numerically', () => {
+        expect(compareVersions('0.14.5', '0.14.5')).to.equal(0);
+        expect(compareVersions('0.9.0', '0.14.5')).to.be.below(0);
+        expect(compareVersions('0.16', '0.14.5')).to.be.above(0);
+    });
+
+    it('pins a configured version, otherwise requires the minimum', () => {
+        expect(pyatvRequirement(' 0.16.0 ')).to.equal('pyatv==0.16.0');
+        expect(pyatvRequirement('')).to.equal('pyatv>=' + PYATV_MIN_VERSION);
+    });
+
+    it('resolves the binaries and the version from the venv', async () => {
+        createFakeVenv(dir, '0.16.0');
+        PyatvBackend.setVenvDir(dir);
+
+        const backend = new PyatvBackend({}, adapter.log);
+        expect(backend.atvscriptPath).to.equal(path.join(dir, 'bin', 'atvscript'));
+        expect(backend.pythonPath).to.equal(path.join(dir, 'bin', 'python'));
+
+        expect(await PyatvBackend.checkInstalled()).to.deep.equal({
+            available: true,
+            version: '0.16.0',
+            outdated: false,
+            location: 'venv',
+            path: path.join(dir, 'bin', 'atvscript'),
+        });
+    });
+
+    it('reports outdated installations', async () => {
+        createFakeVenv(dir, '0.10.3');
+        PyatvBackend.setVenvDir(dir);
+        expect(await PyatvBackend.checkInstalled()).to.include({ available: true, version: '0.10.3', outdated: true });
+    });
+
+    it('refuses to install without a venv directory', async () => {
+        expect(await PyatvBackend.installPyatv(adapter.log)).to.be.false;
+        expect(adapter.log.error.calledWithMatch('no directory')).to.be.true;
+    });
+});